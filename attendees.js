@@ -0,0 +1,261 @@
+/**
+ * Attendee List
+ * Pre-registration lists (Eventbrite and similar CSV/XLSX exports) imported per event, so the
+ * kiosk can look people up instead of typing them in, and a reconciliation of who was
+ * photographed once the event is over
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { readCsvFile } = require('./csv');
+
+const ATTENDEES_FILENAME = '.attendees.json';
+
+const FIELDS = ['attendeeId', 'firstName', 'lastName', 'email', 'mobile', 'company'];
+
+// Column names used by common ticketing exports, best match first (compared lowercase)
+const COLUMN_GUESSES = {
+  attendeeId: ['attendee #', 'attendee id', 'attendee no', 'ticket #', 'ticket id', 'ticket number', 'barcode #', 'barcode', 'registration id', 'id'],
+  firstName: ['first name', 'firstname', 'given name', 'first'],
+  lastName: ['last name', 'lastname', 'surname', 'family name', 'last'],
+  email: ['email', 'email address', 'e-mail', 'attendee email'],
+  mobile: ['cell phone', 'mobile', 'mobile phone', 'mobile number', 'phone', 'phone number', 'work phone'],
+  company: ['company', 'company name', 'organization', 'organisation', 'employer']
+};
+
+/**
+ * Read the first sheet of an XLSX, or a CSV, into a header and row objects
+ * @returns {Promise<{ header: string[], rows: object[] }>}
+ */
+async function readSpreadsheet(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.csv') {
+    return readCsvFile(filePath);
+  }
+  if (ext !== '.xlsx') {
+    throw new Error('Unsupported file type - export the list as CSV or XLSX');
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return { header: [], rows: [] };
+  }
+
+  const values = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let i = 1; i <= sheet.columnCount; i++) {
+      cells.push(row.getCell(i).text.trim());
+    }
+    values.push(cells);
+  });
+
+  // Some exports put a title above the table - the header is the first row with several cells
+  const headerIndex = values.findIndex(cells => cells.filter(Boolean).length >= 2);
+  if (headerIndex === -1) {
+    return { header: [], rows: [] };
+  }
+
+  const header = values[headerIndex];
+  const rows = values.slice(headerIndex + 1).map(cells => {
+    const row = {};
+    header.forEach((column, i) => { if (column) row[column] = cells[i] || ''; });
+    return row;
+  });
+  return { header: header.filter(Boolean), rows };
+}
+
+/**
+ * Suggest which column holds each attendee field
+ * @returns {object} field -> column name ('' when nothing matches)
+ */
+function guessMapping(header) {
+  const mapping = {};
+  for (const field of FIELDS) {
+    const match = COLUMN_GUESSES[field]
+      .map(guess => header.find(column => column.trim().toLowerCase() === guess))
+      .find(Boolean);
+    mapping[field] = match || '';
+  }
+  return mapping;
+}
+
+class AttendeeList {
+  /**
+   * @param {string} outputFolder - The event's output folder the list lives in
+   */
+  constructor(outputFolder) {
+    this.filePath = path.join(outputFolder, ATTENDEES_FILENAME);
+    this.attendees = []; // [{ id, firstName, lastName, email, mobile, company, shootNumbers }]
+    this.source = null;  // { fileName, mapping, importedAt }
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        this.attendees = data.attendees || [];
+        this.source = data.source || null;
+      }
+    } catch (error) {
+      console.error('Error loading attendee list:', error);
+      this.attendees = [];
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify({ source: this.source, attendees: this.attendees }, null, 2));
+    } catch (error) {
+      console.error('Error saving attendee list:', error);
+    }
+  }
+
+  /**
+   * Import rows using a column mapping
+   * Re-importing an updated export keeps the sessions already linked to each attendee
+   * @returns {{ added: number, updated: number, skipped: number }}
+   */
+  import(rows, mapping, fileName) {
+    const existing = new Map(this.attendees.map(a => [a.id, a]));
+    const imported = new Map();
+    let added = 0;
+    let updated = 0;
+    let skipped = 0;
+
+    for (const row of rows) {
+      const value = (field) => (mapping[field] ? String(row[mapping[field]] || '').trim() : '');
+      const attendee = {
+        firstName: value('firstName'),
+        lastName: value('lastName'),
+        email: value('email'),
+        mobile: value('mobile'),
+        company: value('company')
+      };
+      if (!attendee.firstName && !attendee.lastName) {
+        skipped++;
+        continue;
+      }
+
+      // Lists without an ID column are keyed on email, then name
+      attendee.id = value('attendeeId')
+        || (attendee.email ? attendee.email.toLowerCase() : `${attendee.firstName} ${attendee.lastName}`.toLowerCase());
+      if (imported.has(attendee.id)) {
+        skipped++;
+        continue;
+      }
+
+      const previous = existing.get(attendee.id);
+      attendee.shootNumbers = previous ? previous.shootNumbers : [];
+      previous ? updated++ : added++;
+      imported.set(attendee.id, attendee);
+    }
+
+    // Keep attendees dropped from the new export if they were already photographed
+    for (const attendee of this.attendees) {
+      if (!imported.has(attendee.id) && attendee.shootNumbers.length > 0) {
+        imported.set(attendee.id, attendee);
+      }
+    }
+
+    this.attendees = [...imported.values()];
+    this.source = { fileName, mapping, importedAt: new Date().toISOString() };
+    this.save();
+    return { added, updated, skipped };
+  }
+
+  get(id) {
+    return this.attendees.find(a => a.id === id) || null;
+  }
+
+  /**
+   * Find the attendee a scanned badge belongs to, by attendee ID then email
+   * Badge IDs are compared case-insensitively since scanners can change letter case
+   */
+  match({ attendeeId, email }) {
+    const id = (attendeeId || '').toLowerCase();
+    const byId = id && this.attendees.find(a => a.id.toLowerCase() === id);
+    if (byId) return byId;
+
+    const address = (email || '').toLowerCase();
+    return (address && this.attendees.find(a => a.email.toLowerCase() === address)) || null;
+  }
+
+  /**
+   * Type-ahead search across name, email, company and attendee ID
+   */
+  search(query, limit = 8) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    return this.attendees
+      .filter(a => {
+        const haystack = `${a.firstName} ${a.lastName} ${a.email} ${a.company} ${a.id}`.toLowerCase();
+        return terms.every(term => haystack.includes(term));
+      })
+      .slice(0, limit);
+  }
+
+  linkSession(attendeeId, shootNumber) {
+    const attendee = this.get(attendeeId);
+    if (!attendee) return false;
+
+    if (!attendee.shootNumbers.includes(shootNumber)) {
+      attendee.shootNumbers.push(shootNumber);
+      this.save();
+    }
+    return true;
+  }
+
+  /**
+   * Delete attendees (personal data purge)
+   * @param {function} predicate - (attendee) => true to remove
+   * @returns {number} Number removed
+   */
+  removeWhere(predicate) {
+    const before = this.attendees.length;
+    this.attendees = this.attendees.filter(a => !predicate(a));
+    const removed = before - this.attendees.length;
+    if (removed > 0) this.save();
+    return removed;
+  }
+
+  /**
+   * Photographed / not photographed list for the whole event
+   * @param {function} countPhotos - (shootNumber) => photos saved for that session
+   * @param {object[]} contacts - contacts.csv rows, to match walk-ups registered by hand via email
+   */
+  reconcile(countPhotos, contacts = []) {
+    return this.attendees.map(attendee => {
+      const email = attendee.email.toLowerCase();
+      const shootNumbers = new Set(attendee.shootNumbers);
+      if (email) {
+        contacts
+          .filter(c => (c.email || '').toLowerCase() === email)
+          .forEach(c => shootNumbers.add(c.shoot_number));
+      }
+
+      const photoCount = [...shootNumbers].reduce((sum, shootNumber) => sum + countPhotos(shootNumber), 0);
+      return {
+        attendee_id: attendee.id,
+        first_name: attendee.firstName,
+        last_name: attendee.lastName,
+        email: attendee.email,
+        company: attendee.company,
+        status: photoCount > 0 ? 'photographed' : 'not photographed',
+        shoot_numbers: [...shootNumbers].join(' '),
+        photo_count: String(photoCount)
+      };
+    });
+  }
+}
+
+AttendeeList.FIELDS = FIELDS;
+AttendeeList.readSpreadsheet = readSpreadsheet;
+AttendeeList.guessMapping = guessMapping;
+
+module.exports = AttendeeList;
@@ -0,0 +1,232 @@
+/**
+ * Audit Log
+ * Append-only record of what happened to attendee data: sessions started, captures saved,
+ * processing runs, gallery uploads, folders opened, exports, purges and settings changes.
+ * Entries are written one JSON object per line to userData/audit_log.jsonl and chained by
+ * hash, so a client security review can spot an entry edited or removed by hand. The hash has
+ * no secret key: someone who rewrites every hash after their change isn't caught, so keep
+ * exported copies off the machine when that matters.
+ * Entries refer to people by shoot number only - names stay in the event's own files, which
+ * purges can remove, while the log itself is never rewritten.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeCsvFile } = require('./csv');
+
+const LOG_FILENAME = 'audit_log.jsonl';
+const GENESIS_HASH = '0'.repeat(64);
+const TAIL_BYTES = 64 * 1024;
+
+// Action names, grouped by the part before the dot for the viewer's filter
+const ACTIONS = {
+  'session.start': 'Session started',
+  'session.resume': 'Session resumed',
+  'session.end': 'Session ended',
+  'capture.saved': 'Capture saved',
+  'capture.moved': 'Capture moved',
+  'capture.deleted': 'Capture deleted',
+  'processing.completed': 'Processing completed',
+  'processing.failed': 'Processing failed',
+  'processing.queued': 'Reprocessing queued',
+  'gallery.upload': 'Gallery upload',
+  'folder.open': 'Folder opened',
+  'data.export': 'Data exported',
+  'data.import': 'Data imported',
+  'data.purge': 'Data purged',
+  'settings.change': 'Settings changed'
+};
+
+const EXPORT_COLUMNS = ['seq', 'at', 'action', 'event_id', 'event_name', 'shoot_number', 'station', 'details', 'hash'];
+
+function hashEntry(entry) {
+  const { hash, ...content } = entry;
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * File name without the person's name: S001_John_Smith_02-4x5.jpg -> S001_02-4x5.jpg
+ */
+function redactFileName(filePath, shootNumber) {
+  const fileName = path.basename(filePath || '');
+  if (!shootNumber || !fileName.startsWith(`${shootNumber}_`)) return fileName;
+  const match = fileName.slice(shootNumber.length + 1).match(/_(\d{2,}(?:[-.].*)?)$/);
+  return match ? `${shootNumber}_${match[1]}` : shootNumber;
+}
+
+class AuditLog {
+  constructor(app) {
+    this.filePath = path.join(app.getPath('userData'), LOG_FILENAME);
+    this.lastSeq = 0;
+    this.lastHash = GENESIS_HASH;
+    this.needsNewline = false; // The last write was cut off mid-line
+
+    this.loadTail();
+  }
+
+  // Pick up the chain from the last complete entry without reading the whole log
+  // A line cut off by a crash is skipped (verify() reports it) rather than restarting the count
+  loadTail() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+
+      const size = fs.statSync(this.filePath).size;
+      const length = Math.min(size, TAIL_BYTES);
+      const buffer = Buffer.alloc(length);
+      const fd = fs.openSync(this.filePath, 'r');
+      fs.readSync(fd, buffer, 0, length, size - length);
+      fs.closeSync(fd);
+
+      const text = buffer.toString('utf-8');
+      this.needsNewline = text.length > 0 && !text.endsWith('\n');
+      const lines = text.split('\n').filter(line => line.trim());
+      for (let i = lines.length - 1; i >= 0; i--) {
+        try {
+          const last = JSON.parse(lines[i]);
+          this.lastSeq = last.seq;
+          this.lastHash = last.hash;
+          return;
+        } catch (e) { /* torn line - try the one before */ }
+      }
+    } catch (error) {
+      console.error('Error reading audit log:', error);
+    }
+  }
+
+  /**
+   * Append an entry
+   * Never throws - a logging failure must not stop a session or upload
+   * @param {string} action - One of ACTIONS
+   * @param {object} entry - { eventId, eventName, shootNumber, stationId, details }
+   */
+  record(action, { eventId, eventName, shootNumber, stationId, details } = {}) {
+    const entry = {
+      seq: this.lastSeq + 1,
+      at: new Date().toISOString(),
+      action,
+      eventId: eventId || null,
+      eventName: eventName || null,
+      shootNumber: shootNumber || null,
+      stationId: stationId || null,
+      details: details || {},
+      prevHash: this.lastHash
+    };
+    entry.hash = hashEntry(entry);
+
+    try {
+      fs.appendFileSync(this.filePath, `${this.needsNewline ? '\n' : ''}${JSON.stringify(entry)}\n`);
+      this.needsNewline = false;
+      this.lastSeq = entry.seq;
+      this.lastHash = entry.hash;
+    } catch (error) {
+      console.error('Error writing audit log:', error);
+    }
+    return entry;
+  }
+
+  readAll() {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const entries = [];
+    for (const line of fs.readFileSync(this.filePath, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (e) {
+        entries.push({ seq: null, unreadable: line });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Entries matching a filter, newest first
+   * @param {object} filter - { action (full name or group like 'gallery'), eventId, shootNumber,
+   *   from, to (ISO dates), text (searched in details), limit }
+   * @returns {{ entries: object[], total: number }}
+   */
+  query(filter = {}) {
+    const matches = this.readAll()
+      .filter(entry => !entry.unreadable && this.matches(entry, filter))
+      .reverse();
+    return {
+      entries: filter.limit ? matches.slice(0, filter.limit) : matches,
+      total: matches.length
+    };
+  }
+
+  matches(entry, { action, eventId, shootNumber, from, to, text }) {
+    if (action && entry.action !== action && !entry.action.startsWith(`${action}.`)) return false;
+    if (eventId && entry.eventId !== eventId) return false;
+    if (shootNumber && (entry.shootNumber || '').toLowerCase() !== shootNumber.trim().toLowerCase()) return false;
+    if (from && entry.at < from) return false;
+    if (to && entry.at > to) return false;
+    if (text) {
+      const needle = text.trim().toLowerCase();
+      const haystack = `${entry.action} ${entry.eventName || ''} ${entry.stationId || ''} ${JSON.stringify(entry.details)}`.toLowerCase();
+      if (!haystack.includes(needle)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Check the hash chain from the first entry to the last
+   * @returns {{ valid: boolean, entries: number, brokenAt: number|null, reason: string|null }}
+   */
+  verify() {
+    let prevHash = GENESIS_HASH;
+    let seq = 0;
+    const entries = this.readAll();
+
+    for (const entry of entries) {
+      seq++;
+      let reason = null;
+      if (entry.unreadable) {
+        reason = 'Unreadable line';
+      } else if (entry.seq !== seq) {
+        reason = `Expected entry ${seq}, found ${entry.seq}`;
+      } else if (entry.prevHash !== prevHash) {
+        reason = 'Previous entry was changed or removed';
+      } else if (hashEntry(entry) !== entry.hash) {
+        reason = 'Entry was changed';
+      }
+      if (reason) {
+        return { valid: false, entries: entries.length, brokenAt: seq, reason };
+      }
+      prevHash = entry.hash;
+    }
+    return { valid: true, entries: entries.length, brokenAt: null, reason: null };
+  }
+
+  /**
+   * Export matching entries (oldest first) as CSV or as the raw JSON lines
+   * @returns {number} Entries written
+   */
+  exportTo(filePath, filter = {}) {
+    const entries = this.query({ ...filter, limit: 0 }).entries.reverse();
+
+    if (path.extname(filePath).toLowerCase() === '.jsonl') {
+      fs.writeFileSync(filePath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+      return entries.length;
+    }
+
+    writeCsvFile(filePath, EXPORT_COLUMNS, entries.map(entry => ({
+      seq: entry.seq,
+      at: entry.at,
+      action: entry.action,
+      event_id: entry.eventId || '',
+      event_name: entry.eventName || '',
+      shoot_number: entry.shootNumber || '',
+      station: entry.stationId || '',
+      details: JSON.stringify(entry.details),
+      hash: entry.hash
+    })));
+    return entries.length;
+  }
+}
+
+AuditLog.ACTIONS = ACTIONS;
+AuditLog.redactFileName = redactFileName;
+
+module.exports = AuditLog;
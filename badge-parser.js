@@ -0,0 +1,138 @@
+/**
+ * Badge Parser
+ * Decodes what a USB barcode/QR scanner types when an attendee badge is scanned:
+ * a vCard, a MECARD, a URL carrying an attendee ID, or a bare attendee ID
+ */
+
+// Query parameters ticketing platforms use for the attendee/ticket ID in badge URLs
+const URL_ID_PARAMS = ['attendee_id', 'attendeeId', 'attendee', 'ticket_id', 'ticket', 'barcode', 'code', 'id'];
+
+/**
+ * @typedef {object} BadgeData
+ * @property {string} type - 'vcard' | 'mecard' | 'url' | 'id'
+ * @property {string} attendeeId - '' when the badge doesn't carry one
+ * @property {object} person - { firstName, lastName, email, mobile, company } (fields may be '')
+ */
+
+function emptyPerson() {
+  return { firstName: '', lastName: '', email: '', mobile: '', company: '' };
+}
+
+// vCard property values escape , ; \ and newlines with a backslash
+function unescapeVcard(value) {
+  return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+/**
+ * Split a vCard into { NAME: [{ params, value }] }, unfolding continuation lines
+ */
+function parseVcardLines(text) {
+  const unfolded = text.replace(/\r?\n[ \t]/g, '');
+  const properties = {};
+  for (const line of unfolded.split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+
+    const [name, ...params] = line.slice(0, colon).split(';');
+    // Grouped properties (item1.EMAIL) are keyed by the property name alone
+    const key = name.split('.').pop().toUpperCase();
+    (properties[key] = properties[key] || []).push({
+      params: params.join(';').toUpperCase(),
+      value: line.slice(colon + 1)
+    });
+  }
+  return properties;
+}
+
+function parseVcard(text) {
+  const props = parseVcardLines(text);
+  const first = (key) => (props[key] && props[key][0] ? props[key][0].value : '');
+  const person = emptyPerson();
+
+  // N:Last;First;Middle;Prefix;Suffix
+  const name = first('N').split(/(?<!\\);/).map(unescapeVcard);
+  person.lastName = name[0] || '';
+  person.firstName = name[1] || '';
+  if (!person.firstName && !person.lastName) {
+    const fullName = unescapeVcard(first('FN')).split(/\s+/);
+    person.lastName = fullName.length > 1 ? fullName.pop() : '';
+    person.firstName = fullName.join(' ');
+  }
+
+  person.email = unescapeVcard(first('EMAIL'));
+  // Prefer a mobile number when the card has several
+  const phones = props.TEL || [];
+  const mobile = phones.find(p => /CELL|MOBILE/.test(p.params)) || phones[0];
+  person.mobile = mobile ? unescapeVcard(mobile.value.replace(/^tel:/i, '')) : '';
+  person.company = unescapeVcard(first('ORG').split(/(?<!\\);/)[0] || '');
+
+  const attendeeId = unescapeVcard(first('UID') || first('X-ATTENDEE-ID') || first('X-TICKET-ID'));
+  return { type: 'vcard', attendeeId, person };
+}
+
+function parseMecard(text) {
+  const body = text.replace(/^MECARD:/i, '');
+  const person = emptyPerson();
+  let attendeeId = '';
+
+  // Fields are KEY:value; with \; \: \, \\ escapes
+  const fields = body.split(/(?<!\\);/).filter(Boolean);
+  for (const field of fields) {
+    const colon = field.indexOf(':');
+    if (colon <= 0) continue;
+    const key = field.slice(0, colon).toUpperCase();
+    const value = field.slice(colon + 1).replace(/\\([;:,\\])/g, '$1').trim();
+
+    if (key === 'N') {
+      // N:Last,First
+      const [last, firstName] = value.split(',');
+      person.lastName = (last || '').trim();
+      person.firstName = (firstName || '').trim();
+    } else if (key === 'EMAIL' && !person.email) {
+      person.email = value;
+    } else if (key === 'TEL' && !person.mobile) {
+      person.mobile = value;
+    } else if (key === 'ORG') {
+      person.company = value;
+    } else if (key === 'NOTE' || key === 'UID') {
+      attendeeId = attendeeId || value;
+    }
+  }
+  return { type: 'mecard', attendeeId, person };
+}
+
+function parseUrl(text) {
+  let attendeeId = '';
+  try {
+    const url = new URL(text);
+    const param = URL_ID_PARAMS.find(name => url.searchParams.get(name));
+    if (param) {
+      attendeeId = url.searchParams.get(param);
+    } else {
+      // e.g. https://example.com/checkin/ABC123
+      const segments = url.pathname.split('/').filter(Boolean);
+      attendeeId = segments.length > 0 ? decodeURIComponent(segments[segments.length - 1]) : '';
+    }
+  } catch (e) {
+    // Not a valid URL after all - treat the whole thing as an ID
+    attendeeId = text;
+  }
+  return { type: 'url', attendeeId: attendeeId.trim(), person: emptyPerson() };
+}
+
+/**
+ * Decode a scanned badge payload
+ * @param {string} payload - Exactly what the scanner typed (newlines included)
+ * @returns {BadgeData|null} null for an empty scan
+ */
+function parseBadge(payload) {
+  const text = (payload || '').trim();
+  if (!text) return null;
+
+  if (/^BEGIN:VCARD/i.test(text)) return parseVcard(text);
+  if (/^MECARD:/i.test(text)) return parseMecard(text);
+  if (/^https?:\/\//i.test(text)) return parseUrl(text);
+  return { type: 'id', attendeeId: text, person: emptyPerson() };
+}
+
+module.exports = { parseBadge };
@@ -0,0 +1,146 @@
+/**
+ * Unassigned Capture Inbox
+ * Persists RAW captures that arrived with no active session (or were found by the
+ * catch-up scan) so the operator can attach them to the right person later
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const THUMBNAIL_SIZE = 240;
+
+class CaptureInbox {
+  constructor(app) {
+    this.filePath = path.join(app.getPath('userData'), 'unassigned_inbox.json');
+    this.thumbnailFolder = path.join(app.getPath('userData'), 'inbox_thumbnails');
+    this.items = [];
+    this.onChange = null; // Callback when items are added or removed
+
+    this.load();
+  }
+
+  /**
+   * Load inbox from disk, dropping captures whose source file has since been deleted
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        const missing = data.filter(item => !fs.existsSync(item.sourcePath));
+        missing.forEach(item => this.deleteThumbnail(item));
+        this.items = data.filter(item => fs.existsSync(item.sourcePath));
+        if (missing.length > 0) {
+          this.save();
+        }
+      }
+    } catch (error) {
+      console.error('Error loading unassigned inbox:', error);
+      this.items = [];
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify(this.items, null, 2));
+    } catch (error) {
+      console.error('Error saving unassigned inbox:', error);
+    }
+  }
+
+  notifyChange() {
+    if (this.onChange) {
+      this.onChange(this.list());
+    }
+  }
+
+  list() {
+    return [...this.items];
+  }
+
+  get(id) {
+    return this.items.find(item => item.id === id);
+  }
+
+  has(sourcePath) {
+    const resolved = path.resolve(sourcePath);
+    return this.items.some(item => path.resolve(item.sourcePath) === resolved);
+  }
+
+  /**
+   * Add a capture to the inbox (no-op if it's already there)
+   * @param {object} capture - { stationId, stationName, sourcePath, previewPath, capturedAt, reason }
+   */
+  async add(capture) {
+    if (this.has(capture.sourcePath)) {
+      return null;
+    }
+
+    const item = {
+      id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      stationId: capture.stationId,
+      stationName: capture.stationName,
+      sourcePath: capture.sourcePath,
+      fileName: path.basename(capture.sourcePath),
+      previewPath: capture.previewPath || null,
+      thumbnailPath: null,
+      capturedAt: capture.capturedAt || new Date().toISOString(),
+      addedAt: new Date().toISOString(),
+      reason: capture.reason || 'no-session'
+    };
+
+    item.thumbnailPath = await this.createThumbnail(item);
+
+    this.items.push(item);
+    this.save();
+    this.notifyChange();
+    return item;
+  }
+
+  /**
+   * Create a small JPEG thumbnail from the paired JPEG (or the RAW if sharp can read it)
+   * Thumbnails live in userData so they survive the tether app clearing its folder
+   */
+  async createThumbnail(item) {
+    const sources = [item.previewPath, item.sourcePath].filter(Boolean);
+    if (!fs.existsSync(this.thumbnailFolder)) {
+      fs.mkdirSync(this.thumbnailFolder, { recursive: true });
+    }
+
+    const thumbnailPath = path.join(this.thumbnailFolder, `${item.id}.jpg`);
+    for (const source of sources) {
+      try {
+        await sharp(source)
+          .rotate()
+          .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside' })
+          .jpeg({ quality: 80 })
+          .toFile(thumbnailPath);
+        return thumbnailPath;
+      } catch (error) {
+        console.log(`Could not create inbox thumbnail from ${path.basename(source)}:`, error.message);
+      }
+    }
+    return null;
+  }
+
+  deleteThumbnail(item) {
+    if (item.thumbnailPath && fs.existsSync(item.thumbnailPath)) {
+      try { fs.unlinkSync(item.thumbnailPath); } catch (e) { /* ignore */ }
+    }
+  }
+
+  /**
+   * Remove captures from the inbox (after they're assigned or dismissed)
+   * @returns {object[]} The removed items
+   */
+  remove(ids) {
+    const removed = this.items.filter(item => ids.includes(item.id));
+    removed.forEach(item => this.deleteThumbnail(item));
+    this.items = this.items.filter(item => !ids.includes(item.id));
+    this.save();
+    this.notifyChange();
+    return removed;
+  }
+}
+
+module.exports = CaptureInbox;
@@ -0,0 +1,196 @@
+/**
+ * Capture Ledger
+ * Records which tethered source files have already been copied into session folders,
+ * so a catch-up scan can find frames that arrived while the app or watcher was down.
+ * Watch folders are shared by every event, so there is one ledger in userData rather
+ * than one per event - switching events doesn't make the last event's frames look missed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readCsvFile } = require('./csv');
+
+const LEDGER_FILENAME = 'capture_ledger.json';
+// Per-event ledger older versions kept in each output folder
+const LEGACY_LEDGER_FILENAME = '.capture_ledger.json';
+
+// Only flag captures from the last day - older files in the watch folder are
+// usually test shots or previous events, not frames lost during a crash
+const CATCH_UP_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+class CaptureLedger {
+  constructor(app) {
+    this.filePath = path.join(app.getPath('userData'), LEDGER_FILENAME);
+    this.entries = {}; // key -> { sourcePath, status, shootNumber, newPath, recordedAt }
+    this.seededFolders = []; // Output folders whose sessions CSV has been merged in
+    this.load();
+  }
+
+  /**
+   * Key on path + size + mtime so a camera that restarts its file numbering
+   * (P1000001.RW2 again) isn't mistaken for an already-imported frame
+   */
+  static keyFor(sourcePath) {
+    try {
+      const stats = fs.statSync(sourcePath);
+      return `${path.resolve(sourcePath)}|${stats.size}|${Math.round(stats.mtimeMs)}`;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        this.entries = data.entries || {};
+        this.seededFolders = data.seededFolders || [];
+      }
+    } catch (error) {
+      console.error('Error loading capture ledger:', error);
+    }
+  }
+
+  /**
+   * Bring an event's imports into the ledger the first time it's opened: its old per-event
+   * ledger if there is one, and every original_path in its headshot_sessions.csv.
+   * Entries already in the ledger win, so moves and dismissals aren't undone.
+   */
+  seedFromEvent(outputFolder, sessionsFile) {
+    const folder = path.resolve(outputFolder);
+    if (this.seededFolders.includes(folder)) return;
+
+    let seeded = 0;
+    const legacyPath = path.join(folder, LEGACY_LEDGER_FILENAME);
+    try {
+      if (fs.existsSync(legacyPath)) {
+        const legacy = JSON.parse(fs.readFileSync(legacyPath, 'utf-8'));
+        for (const [key, entry] of Object.entries(legacy)) {
+          if (!this.entries[key]) {
+            this.entries[key] = entry;
+            seeded++;
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error reading old capture ledger:', error);
+    }
+
+    const { rows } = readCsvFile(sessionsFile);
+    for (const row of rows) {
+      if (row.original_path && !this.has(row.original_path) && this.record(row.original_path, 'imported', {
+        shootNumber: row.shoot_number,
+        newPath: row.new_path
+      }, false)) {
+        seeded++;
+      }
+    }
+
+    if (seeded > 0) {
+      console.log(`Capture ledger seeded with ${seeded} capture(s) from ${folder}`);
+    }
+    this.seededFolders.push(folder);
+    this.save();
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify({ seededFolders: this.seededFolders, entries: this.entries }, null, 2));
+    } catch (error) {
+      console.error('Error saving capture ledger:', error);
+    }
+  }
+
+  record(sourcePath, status, details = {}, persist = true) {
+    const key = CaptureLedger.keyFor(sourcePath);
+    if (!key) return false;
+
+    this.entries[key] = {
+      sourcePath,
+      status,
+      ...details,
+      recordedAt: new Date().toISOString()
+    };
+    if (persist) this.save();
+    return true;
+  }
+
+  /**
+   * Record that a source file was copied into a session folder
+   */
+  recordImport(sourcePath, { shootNumber, newPath }) {
+    return this.record(sourcePath, 'imported', { shootNumber, newPath });
+  }
+
+  /**
+   * Record that the operator chose not to keep a capture (test shot, blink, etc.)
+   */
+  dismiss(sourcePath) {
+    return this.record(sourcePath, 'dismissed');
+  }
+
+  /**
+   * Follow an imported capture that was moved to another session (or deleted, status 'deleted')
+   * Entries stay in the ledger so the original in the watch folder isn't flagged again
+   * @param {string} importedPath - The new_path the capture was copied to
+   */
+  updateImport(importedPath, status, details = {}) {
+    const resolved = path.resolve(importedPath);
+    let updated = 0;
+
+    for (const entry of Object.values(this.entries)) {
+      if (entry.newPath && path.resolve(entry.newPath) === resolved) {
+        Object.assign(entry, { status, ...details, recordedAt: new Date().toISOString() });
+        updated++;
+      }
+    }
+    if (updated > 0) this.save();
+    return updated;
+  }
+
+  /**
+   * Strip purged sessions from their entries (status 'purged')
+   * Entries stay so the originals aren't flagged by the catch-up scan if they're still around
+   * @param {string} outputFolder - The purged event's folder; other events reuse shoot numbers
+   * @returns {number} Number of entries updated
+   */
+  forget(shootNumbers, outputFolder) {
+    const inFolder = (newPath) => {
+      const rel = path.relative(outputFolder, newPath);
+      return !rel.startsWith('..') && !path.isAbsolute(rel);
+    };
+    let updated = 0;
+    for (const entry of Object.values(this.entries)) {
+      if (entry.shootNumber && shootNumbers.includes(entry.shootNumber) && entry.newPath && inFolder(entry.newPath)) {
+        delete entry.shootNumber;
+        delete entry.newPath;
+        entry.status = 'purged';
+        updated++;
+      }
+    }
+    if (updated > 0) this.save();
+    return updated;
+  }
+
+  has(sourcePath) {
+    const key = CaptureLedger.keyFor(sourcePath);
+    return !!(key && this.entries[key]);
+  }
+
+  /**
+   * Filter captures down to recent ones that were never imported or dismissed
+   * @param {string[]} sourcePaths - RAW files found in a watch folder
+   */
+  findUnassigned(sourcePaths, now = Date.now()) {
+    return sourcePaths.filter(sourcePath => {
+      if (this.has(sourcePath)) return false;
+      try {
+        return now - fs.statSync(sourcePath).mtimeMs <= CATCH_UP_WINDOW_MS;
+      } catch (e) {
+        return false;
+      }
+    });
+  }
+}
+
+module.exports = CaptureLedger;
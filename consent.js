@@ -0,0 +1,183 @@
+/**
+ * Consent
+ * Optional per-event consent step on the registration screen: the event's terms, one
+ * checkbox per use of the photos and an optional on-screen signature. What each person
+ * agreed to is stored with their contact record, tagged with the terms version they saw.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Uses people can consent to separately
+const USES = ['directory', 'marketing', 'gallery'];
+
+const DEFAULT_CONSENT = {
+  enabled: false,
+  version: 1,
+  terms: '',
+  uses: {
+    directory: { label: 'Use my photo in the internal staff directory', required: false },
+    marketing: { label: 'Use my photo in marketing material', required: false },
+    gallery: { label: 'Publish my photos to the online gallery', required: false }
+  },
+  signature: 'off' // 'off' | 'optional' | 'required'
+};
+
+const SIGNATURE_MODES = ['off', 'optional', 'required'];
+const SIGNATURES_FOLDER = 'signatures';
+
+// contacts.csv columns holding each person's consent record
+const CSV_COLUMNS = [
+  'consent_version', 'consent_timestamp',
+  ...USES.map(use => `consent_${use}`),
+  'consent_signature'
+];
+
+function normalizeConsent(config) {
+  const source = config || {};
+  const uses = {};
+  for (const use of USES) {
+    const saved = (source.uses && source.uses[use]) || {};
+    uses[use] = {
+      label: (saved.label || '').trim() || DEFAULT_CONSENT.uses[use].label,
+      required: !!saved.required
+    };
+  }
+  return {
+    enabled: !!source.enabled,
+    version: parseInt(source.version, 10) || DEFAULT_CONSENT.version,
+    terms: typeof source.terms === 'string' ? source.terms.trim() : '',
+    uses,
+    signature: SIGNATURE_MODES.includes(source.signature) ? source.signature : DEFAULT_CONSENT.signature
+  };
+}
+
+/**
+ * Apply edited settings, bumping the version whenever the wording people agree to changes
+ * so each record shows which terms were accepted
+ * @returns {{ config: object, errors: string[] }}
+ */
+function updateConsent(current, changes) {
+  const previous = normalizeConsent(current);
+  const config = normalizeConsent({ ...changes, version: previous.version });
+  const errors = [];
+
+  if (config.enabled && !config.terms) {
+    errors.push('Enter the terms people are agreeing to');
+  }
+
+  const wording = (c) => JSON.stringify([c.terms, USES.map(use => c.uses[use].label)]);
+  if (current && wording(config) !== wording(previous)) {
+    config.version = previous.version + 1;
+  }
+  return { config, errors };
+}
+
+/**
+ * Check what was collected on the registration screen against the event's settings
+ * @param {object} submitted - { accepted, uses: { directory, marketing, gallery }, signature (PNG data URL) }
+ * @returns {{ record: object|null, error: string|null }} record is null when consent is off
+ */
+function validateConsent(config, submitted) {
+  if (!config.enabled) {
+    return { record: null, error: null };
+  }
+
+  const given = submitted || {};
+  if (!given.accepted) {
+    return { record: null, error: 'The terms must be accepted before starting the session' };
+  }
+
+  const uses = {};
+  for (const use of USES) {
+    uses[use] = !!(given.uses && given.uses[use]);
+    if (config.uses[use].required && !uses[use]) {
+      return { record: null, error: `Consent is required for: ${config.uses[use].label}` };
+    }
+  }
+
+  const signature = config.signature !== 'off' && typeof given.signature === 'string' ? given.signature : '';
+  if (config.signature === 'required' && !signature) {
+    return { record: null, error: 'A signature is required' };
+  }
+  if (signature && !signature.startsWith('data:image/png;base64,')) {
+    return { record: null, error: 'Signature could not be read' };
+  }
+
+  return {
+    record: { version: config.version, acceptedAt: new Date().toISOString(), uses, signature },
+    error: null
+  };
+}
+
+/**
+ * Save the signature image to <output>/signatures/<shootNumber>.png
+ * @returns {string} Path relative to the output folder ('' when there's no signature)
+ */
+function saveSignature(outputFolder, shootNumber, dataUrl) {
+  if (!dataUrl) return '';
+
+  const folder = path.join(outputFolder, SIGNATURES_FOLDER);
+  fs.mkdirSync(folder, { recursive: true });
+  const fileName = `${shootNumber}.png`;
+  fs.writeFileSync(path.join(folder, fileName), Buffer.from(dataUrl.split(',')[1], 'base64'));
+  return `${SIGNATURES_FOLDER}/${fileName}`;
+}
+
+// contacts.csv values for a consent record (blank when the event doesn't collect consent)
+function toCsvValues(record) {
+  const values = {};
+  for (const column of CSV_COLUMNS) values[column] = '';
+  if (!record) return values;
+
+  values.consent_version = String(record.version);
+  values.consent_timestamp = record.acceptedAt;
+  for (const use of USES) {
+    values[`consent_${use}`] = record.uses[use] ? 'yes' : 'no';
+  }
+  values.consent_signature = record.signature || '';
+  return values;
+}
+
+// Consent record from a contacts.csv row (null for people registered without the consent step)
+function fromCsvRow(row) {
+  if (!row.consent_version) return null;
+
+  const uses = {};
+  for (const use of USES) {
+    uses[use] = row[`consent_${use}`] === 'yes';
+  }
+  return {
+    version: parseInt(row.consent_version, 10),
+    acceptedAt: row.consent_timestamp,
+    uses,
+    signature: row.consent_signature || ''
+  };
+}
+
+/**
+ * Whether a person's photos may be published to the gallery
+ * With no record (no session.json, an unreadable one, or registered before the event turned
+ * consent on) photos are only published when the event doesn't ask for consent
+ * @param {object|null} record - The registrant's consent record
+ * @param {object} config - The event's consent settings (normalizeConsent)
+ */
+function allowsPublication(record, config) {
+  if (!record) {
+    return !config.enabled;
+  }
+  return !!(record.uses && record.uses.gallery);
+}
+
+module.exports = {
+  USES,
+  DEFAULT_CONSENT,
+  CSV_COLUMNS,
+  normalizeConsent,
+  updateConsent,
+  validateConsent,
+  saveSignature,
+  toCsvValues,
+  fromCsvRow,
+  allowsPublication
+};
@@ -0,0 +1,140 @@
+/**
+ * Credential Store
+ * Keeps secrets (Replicate API key, gallery session and password, station sync key) out of
+ * settings.json. Values are encrypted with Electron's safeStorage (macOS Keychain / Windows
+ * DPAPI / libsecret) into userData/credentials.json. Where safeStorage isn't available (Linux
+ * without a keyring) the file is only obfuscated: its key is derived from the host name, user
+ * name and home folder, which anyone who can read the file can find out. That stops the
+ * secrets being read at a glance, not by someone who sets out to recover them.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORE_FILENAME = 'credentials.json';
+const STORE_VERSION = 1;
+
+function machineSecret() {
+  let userName = '';
+  try {
+    userName = os.userInfo().username;
+  } catch (e) { /* no passwd entry */ }
+  return ['turbo-headshots', os.hostname(), userName, os.homedir()].join('\0');
+}
+
+class CredentialStore {
+  /**
+   * @param {object} safeStorage - Electron's safeStorage (only usable once the app is ready)
+   */
+  constructor(app, safeStorage) {
+    this.filePath = path.join(app.getPath('userData'), STORE_FILENAME);
+    this.safeStorage = safeStorage;
+    this.values = {};
+    this.saved = null; // Whether the last write succeeded (null until something is written)
+
+    this.load();
+  }
+
+  get method() {
+    return this.safeStorage && this.safeStorage.isEncryptionAvailable() ? 'safeStorage' : 'derived-key';
+  }
+
+  encrypt(text, salt) {
+    if (this.method === 'safeStorage') {
+      return this.safeStorage.encryptString(text).toString('base64');
+    }
+    const key = crypto.scryptSync(machineSecret(), salt, 32);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = Buffer.concat([cipher.update(text, 'utf-8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+  }
+
+  decrypt(data, method, salt) {
+    const buffer = Buffer.from(data, 'base64');
+    if (method === 'safeStorage') {
+      return this.safeStorage.decryptString(buffer);
+    }
+    const key = crypto.scryptSync(machineSecret(), salt, 32);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(0, 12));
+    decipher.setAuthTag(buffer.subarray(12, 28));
+    return Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]).toString('utf-8');
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      this.values = JSON.parse(this.decrypt(stored.data, stored.method, Buffer.from(stored.salt || '', 'base64')));
+    } catch (error) {
+      // Encrypted on another machine or by another user - the secrets have to be entered again
+      console.error('Could not read saved credentials:', error.message);
+      this.values = {};
+    }
+  }
+
+  /**
+   * Write the store to disk
+   * @returns {boolean} false when the file couldn't be written - the values are only in memory
+   */
+  save() {
+    try {
+      const salt = crypto.randomBytes(16);
+      const stored = {
+        version: STORE_VERSION,
+        method: this.method,
+        salt: salt.toString('base64'),
+        data: this.encrypt(JSON.stringify(this.values), salt)
+      };
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(stored), { mode: 0o600 });
+      fs.renameSync(tempPath, this.filePath);
+      return true;
+    } catch (error) {
+      console.error('Error saving credentials:', error.message);
+      return false;
+    }
+  }
+
+  get(name) {
+    return this.values[name] === undefined ? null : this.values[name];
+  }
+
+  /**
+   * Store a value (empty or null removes it). Only writes when the value changed.
+   * @returns {boolean} false when the change couldn't be written to disk
+   */
+  set(name, value) {
+    return this.setAll({ [name]: value });
+  }
+
+  /**
+   * Store several values in one write (empty or null removes a value)
+   * @returns {boolean} false when the change couldn't be written to disk
+   */
+  setAll(values) {
+    let changed = false;
+    for (const [name, value] of Object.entries(values)) {
+      const empty = value === null || value === undefined || value === '';
+      if (empty ? !(name in this.values) : JSON.stringify(this.values[name]) === JSON.stringify(value)) {
+        continue;
+      }
+      if (empty) {
+        delete this.values[name];
+      } else {
+        this.values[name] = value;
+      }
+      changed = true;
+    }
+    // A store that failed to write earlier still needs writing, even with nothing new
+    if (!changed && this.saved !== false) {
+      return true;
+    }
+    this.saved = this.save();
+    return this.saved;
+  }
+}
+
+module.exports = CredentialStore;
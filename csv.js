@@ -0,0 +1,315 @@
+/**
+ * CSV helpers for contacts.csv and headshot_sessions.csv
+ * Reads quoted RFC 4180 style files (quoted fields, escaped quotes, embedded newlines)
+ * and rewrites them when existing rows need correcting. Every CSV write goes through here:
+ * fields are always quoted, values Excel would run as formulas are neutralised, and files
+ * are replaced atomically under a lock file so two writers can't interleave.
+ */
+
+const fs = require('fs');
+const os = require('os');
+
+const LOCK_STALE_MS = 10000;  // Writes take milliseconds - an older lock was left by a crash
+// Waiting blocks the main process (IPC, watchers), so give up quickly - a write held up this
+// long fails and is reported (the station sync outbox retries its own writes)
+const LOCK_TIMEOUT_MS = 250;
+const LOCK_RETRY_MS = 10;
+
+// Excel treats cells starting with these as formulas (=HYPERLINK(...), @SUM(...), +cmd|...)
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+// ...but a single number (-12.5, +3e2) or an international phone number (+61 412 345 678)
+// is harmless and shouldn't get a leading quote. Anything with an operator inside (-2-3,
+// +1-1) is still a formula to Excel.
+const NUMBER_PATTERN = /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:e[+-]?\d+)?$/i;
+const PHONE_PATTERN = /^\+\d[\d ()]*\d$/;
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM that Excel adds when re-saving
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last row without trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(r => !(r.length === 1 && r[0] === ''));
+}
+
+// Undo formatField's formula guard, so values read back are what was entered
+function restoreField(value) {
+  return value.startsWith('\'') && FORMULA_PATTERN.test(value) ? value.slice(1) : value;
+}
+
+// Pair a parsed header with its records
+function toRows(header, records) {
+  return records.map(record => {
+    const obj = {};
+    header.forEach((column, index) => {
+      obj[column] = record[index] !== undefined ? restoreField(record[index]) : '';
+    });
+    return obj;
+  });
+}
+
+/**
+ * Read a CSV file with a header row into objects keyed by column name
+ * @returns {{ header: string[], rows: object[] }}
+ */
+function readCsvFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return { header: [], rows: [] };
+  }
+
+  const [header = [], ...records] = parseCsv(fs.readFileSync(filePath, 'utf-8'));
+  return { header, rows: toRows(header, records) };
+}
+
+/**
+ * Quote a single field ("value", quotes doubled)
+ * Text Excel would evaluate as a formula gets a leading apostrophe so it opens as plain text
+ */
+function formatField(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (FORMULA_PATTERN.test(text) && !NUMBER_PATTERN.test(text) && !PHONE_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function formatCsv(header, rows) {
+  const lines = [header.join(',')];
+  for (const row of rows) {
+    lines.push(header.map(column => formatField(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Wait without returning to the event loop - every write here is synchronous
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Run fn while holding <file>.lock, so another station writing the same file in a shared
+ * folder (or a second copy of the app) waits for this write to finish
+ */
+function withFileLock(filePath, fn) {
+  const lockPath = `${filePath}.lock`;
+  const started = Date.now();
+  let fd = null;
+
+  while (fd === null) {
+    try {
+      fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, JSON.stringify({ host: os.hostname(), pid: process.pid, at: new Date().toISOString() }));
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+
+      try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+          fs.unlinkSync(lockPath);
+          continue;
+        }
+      } catch (e) { /* released between the check and the stat */ }
+
+      if (Date.now() - started > LOCK_TIMEOUT_MS) {
+        throw new Error(`${filePath} is locked by another process`);
+      }
+      sleepSync(LOCK_RETRY_MS);
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    try { fs.unlinkSync(lockPath); } catch (e) { /* ignore */ }
+  }
+}
+
+// Replace a file's contents via a temp file, so a crash mid-write can't truncate the sessions log
+function replaceFile(filePath, contents) {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, contents);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Write a header plus row objects to disk (creating or replacing the file)
+ */
+function writeCsvFile(filePath, header, rows) {
+  withFileLock(filePath, () => replaceFile(filePath, formatCsv(header, rows)));
+}
+
+/**
+ * Append one row object, ordered by the file's header
+ * Like every write here this is synchronous, so an append and a row rewrite from the
+ * processor can never interleave in the main process
+ */
+function appendCsvRow(filePath, row) {
+  withFileLock(filePath, () => {
+    const existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : '';
+    const [header = []] = parseCsv(existing);
+    const columns = header.length > 0 ? header : Object.keys(row);
+
+    // A file last saved from Excel may not end with a newline
+    const before = header.length > 0
+      ? (/[\r\n]$/.test(existing) ? existing : `${existing}\n`)
+      : `${columns.join(',')}\n`;
+    replaceFile(filePath, `${before}${columns.map(column => formatField(row[column])).join(',')}\n`);
+  });
+}
+
+/**
+ * Add any missing columns to an existing file's header (for files created by older versions)
+ * @returns {boolean} true if the file was rewritten
+ */
+function ensureCsvColumns(filePath, columns) {
+  return withFileLock(filePath, () => {
+    const { header, rows } = readCsvFile(filePath);
+    if (header.length === 0) {
+      return false;
+    }
+
+    const missing = columns.filter(column => !header.includes(column));
+    if (missing.length === 0) {
+      return false;
+    }
+
+    replaceFile(filePath, formatCsv([...header, ...missing], rows));
+    return true;
+  });
+}
+
+/**
+ * Bring a file written by an older version (or edited by hand) up to date: add missing
+ * columns, drop Excel's BOM, fill short rows, re-quote every field and neutralise formulas
+ * Rows with more fields than the header (unquoted commas) keep the extra values in an
+ * _unparsed column so nothing is lost. The original is copied to <file>.bak-<timestamp>
+ * whenever the file is rewritten.
+ * @param {string[]} columns - Columns the file must have
+ * @returns {{ repaired: boolean, backupPath: string|null, padded: number, overflowed: number }}
+ */
+function repairCsvFile(filePath, columns = []) {
+  const result = { repaired: false, backupPath: null, padded: 0, overflowed: 0 };
+  if (!filePath || !fs.existsSync(filePath)) {
+    return result;
+  }
+
+  return withFileLock(filePath, () => {
+    const original = fs.readFileSync(filePath, 'utf-8');
+    const [rawHeader = [], ...records] = parseCsv(original);
+    if (rawHeader.length === 0) {
+      return result;
+    }
+
+    const fileColumns = rawHeader.map(column => column.trim());
+    const rows = toRows(fileColumns, records);
+    records.forEach((record, i) => {
+      if (record.length < fileColumns.length) {
+        result.padded++;
+      } else if (record.length > fileColumns.length) {
+        result.overflowed++;
+        rows[i]._unparsed = record.slice(fileColumns.length).join(',');
+      }
+    });
+
+    const header = [...fileColumns, ...columns.filter(column => !fileColumns.includes(column))];
+    if (result.overflowed > 0 && !header.includes('_unparsed')) {
+      header.push('_unparsed');
+    }
+
+    const repaired = formatCsv(header, rows);
+    if (repaired === original) {
+      return result;
+    }
+
+    result.backupPath = `${filePath}.bak-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    fs.copyFileSync(filePath, result.backupPath);
+    replaceFile(filePath, repaired);
+    result.repaired = true;
+    return result;
+  });
+}
+
+/**
+ * Rewrite rows matching a predicate
+ * @param {function} predicate - (row) => boolean
+ * @param {function} update - (row) => updated row object, or null to delete the row
+ * @returns {number} Number of rows changed or removed
+ */
+function updateCsvRows(filePath, predicate, update) {
+  return withFileLock(filePath, () => {
+    const { header, rows } = readCsvFile(filePath);
+    if (header.length === 0) {
+      return 0;
+    }
+
+    let changed = 0;
+    const updated = [];
+    for (const row of rows) {
+      if (!predicate(row)) {
+        updated.push(row);
+        continue;
+      }
+      changed++;
+      const result = update({ ...row });
+      if (result) updated.push(result);
+    }
+
+    if (changed > 0) {
+      replaceFile(filePath, formatCsv(header, updated));
+    }
+    return changed;
+  });
+}
+
+module.exports = {
+  parseCsv,
+  readCsvFile,
+  writeCsvFile,
+  appendCsvRow,
+  ensureCsvColumns,
+  repairCsvFile,
+  updateCsvRows
+};
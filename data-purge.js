@@ -0,0 +1,345 @@
+/**
+ * Data Purge
+ * Removes or anonymises a person's personal data - or a whole event's - everywhere the app
+ * keeps it: contacts.csv, headshot_sessions.csv (and the shared copies when stations sync),
+ * session folders with RAWs and processed outputs, the originals in the watch folder (RAW and
+ * paired camera JPEG), signatures, the attendee list, the processing queue, Recent Sessions
+ * and gallery uploads.
+ * Every purge writes a report to userData/purge_reports. Events can also set a retention
+ * policy (e.g. delete 90 days after the last session) that is applied automatically.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readCsvFile, updateCsvRows } = require('./csv');
+const shootNumbers = require('./shoot-number');
+const sessionManifest = require('./session-manifest');
+const AttendeeList = require('./attendees');
+
+const REPORTS_FOLDER = 'purge_reports';
+const MODES = ['delete', 'anonymise'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Columns kept when a row is anonymised - nothing in them identifies the person
+const ANONYMISED_KEEP = [
+  'shoot_number', 'timestamp', 'processing_status', 'processing_timestamp',
+  'consent_version', 'consent_timestamp', 'consent_directory', 'consent_marketing', 'consent_gallery',
+  'station'
+];
+
+function normalizeRetention(retention) {
+  const days = parseInt(retention && retention.days, 10);
+  return {
+    days: days > 0 ? days : null,
+    mode: retention && MODES.includes(retention.mode) ? retention.mode : 'delete'
+  };
+}
+
+// Blank values for every identifying column of a CSV header
+function anonymisedValues(header) {
+  const values = {};
+  for (const column of header.filter(c => !ANONYMISED_KEEP.includes(c))) {
+    values[column] = '';
+  }
+  return values;
+}
+
+// Only the hash of an erasure request's email goes in the report
+function hashEmail(email) {
+  return crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+}
+
+function eventFiles(evt) {
+  const folder = evt.outputFolder || '';
+  return {
+    folder,
+    contactsFile: evt.contactsFile || (folder ? path.join(folder, 'contacts.csv') : ''),
+    sessionsFile: evt.sessionsFile || (folder ? path.join(folder, 'headshot_sessions.csv') : '')
+  };
+}
+
+class DataPurge {
+  /**
+   * @param {object} hooks - Callbacks into the running app:
+   *   isActive(shootNumber) -> boolean, cancelProcessing(folder) -> number,
+   *   forgetSessions(shootNumbers), forgetCaptures(shootNumbers, folder) -> number,
+   *   findOriginalJpeg(originalPath) -> string|null,
+   *   deleteGalleryPhoto(galleryId, photoId) -> Promise<{ success, error }>,
+   *   syncRows(file, shootNumber, values|null)
+   */
+  constructor(app, hooks) {
+    this.reportsPath = path.join(app.getPath('userData'), REPORTS_FOLDER);
+    this.hooks = hooks;
+  }
+
+  /**
+   * Every shoot number an event has data for (CSV rows and session folders)
+   */
+  listShootNumbers(evt) {
+    const { folder, contactsFile, sessionsFile } = eventFiles(evt);
+    const found = new Set();
+    readCsvFile(contactsFile).rows.forEach(r => r.shoot_number && found.add(r.shoot_number));
+    readCsvFile(sessionsFile).rows.forEach(r => r.shoot_number && found.add(r.shoot_number));
+    for (const sessionFolder of this.findSessionFolders(folder)) {
+      found.add(sessionFolder.shootNumber);
+    }
+    return [...found];
+  }
+
+  findSessionFolders(folder, only = null) {
+    if (!folder || !fs.existsSync(folder)) return [];
+    return fs.readdirSync(folder, { withFileTypes: true })
+      .filter(dirent => dirent.isDirectory())
+      .map(dirent => ({ parsed: shootNumbers.parseFolderName(dirent.name), folderPath: path.join(folder, dirent.name) }))
+      .filter(({ parsed }) => parsed && (!only || only.includes(parsed.shootNumber)))
+      .map(({ parsed, folderPath }) => ({ shootNumber: parsed.shootNumber, folderPath }));
+  }
+
+  /**
+   * Shoot numbers registered with an email address in one event
+   */
+  findByEmail(evt, email) {
+    const address = email.trim().toLowerCase();
+    const { contactsFile, sessionsFile } = eventFiles(evt);
+    const matches = new Set();
+    for (const row of [...readCsvFile(contactsFile).rows, ...readCsvFile(sessionsFile).rows]) {
+      if ((row.email || '').trim().toLowerCase() === address && row.shoot_number) {
+        matches.add(row.shoot_number);
+      }
+    }
+    return [...matches];
+  }
+
+  /**
+   * Remove or anonymise the given sessions of one event
+   * @param {object} options - { mode: 'delete'|'anonymise', email } (email also removes
+   *   matching attendee list entries that never got a session)
+   * @returns {Promise<object>} Summary for the purge report
+   */
+  async purgeSessions(evt, targets, { mode = 'delete', email = '' } = {}) {
+    const { folder, contactsFile, sessionsFile } = eventFiles(evt);
+    const summary = {
+      eventId: evt.id,
+      eventName: evt.name,
+      shootNumbers: targets,
+      contactsRows: 0,
+      sessionsRows: 0,
+      sessionFolders: 0,
+      originals: 0,
+      originalJpegs: 0,
+      signatures: 0,
+      attendees: 0,
+      queueItems: 0,
+      ledgerEntries: 0,
+      galleryPhotos: { deleted: 0, failed: [] },
+      errors: []
+    };
+    if (targets.length === 0 && !email) return summary;
+
+    const matches = (row) => targets.includes(row.shoot_number);
+    const rewrite = (row) => (mode === 'anonymise' ? { ...row, ...anonymisedValues(Object.keys(row)) } : null);
+
+    // Originals in the watch folder are only known from the sessions CSV, so collect them
+    // (and the camera JPEGs paired with them) first
+    const originals = readCsvFile(sessionsFile).rows
+      .filter(matches)
+      .map(row => row.original_path)
+      .filter(Boolean);
+    const originalJpegs = originals.map(original => this.hooks.findOriginalJpeg(original)).filter(Boolean);
+
+    // Gallery photo IDs are recorded in session.json - read them before the folder goes
+    const sessionFolders = this.findSessionFolders(folder, targets);
+    for (const { folderPath } of sessionFolders) {
+      await this.deleteGalleryUploads(folderPath, summary);
+      summary.queueItems += this.hooks.cancelProcessing(folderPath) || 0;
+      try {
+        fs.rmSync(folderPath, { recursive: true, force: true });
+        summary.sessionFolders++;
+      } catch (err) {
+        summary.errors.push(`Could not delete ${path.basename(folderPath)}: ${err.message}`);
+      }
+    }
+
+    for (const original of originals) {
+      try {
+        if (fs.existsSync(original)) {
+          fs.unlinkSync(original);
+          summary.originals++;
+        }
+      } catch (err) {
+        summary.errors.push(`Could not delete original ${path.basename(original)}: ${err.message}`);
+      }
+    }
+    for (const jpeg of originalJpegs) {
+      try {
+        if (fs.existsSync(jpeg)) {
+          fs.unlinkSync(jpeg);
+          summary.originalJpegs++;
+        }
+      } catch (err) {
+        summary.errors.push(`Could not delete original ${path.basename(jpeg)}: ${err.message}`);
+      }
+    }
+
+    for (const shootNumber of targets) {
+      const signature = path.join(folder, 'signatures', `${shootNumber}.png`);
+      try {
+        if (folder && fs.existsSync(signature)) {
+          fs.unlinkSync(signature);
+          summary.signatures++;
+        }
+      } catch (err) {
+        summary.errors.push(`Could not delete signature ${path.basename(signature)}: ${err.message}`);
+      }
+    }
+
+    try {
+      if (contactsFile && fs.existsSync(contactsFile)) {
+        summary.contactsRows = updateCsvRows(contactsFile, matches, rewrite);
+      }
+      if (sessionsFile && fs.existsSync(sessionsFile)) {
+        summary.sessionsRows = updateCsvRows(sessionsFile, matches, rewrite);
+      }
+    } catch (err) {
+      summary.errors.push(`Could not update CSV files: ${err.message}`);
+    }
+    // Shared copies on the sync host / shared folder have the same columns plus station
+    const syncValues = (file) => (mode === 'anonymise' ? anonymisedValues(readCsvFile(file).header) : null);
+    const contactsValues = syncValues(contactsFile);
+    const sessionsValues = syncValues(sessionsFile);
+    for (const shootNumber of targets) {
+      this.hooks.syncRows('contacts', shootNumber, contactsValues);
+      this.hooks.syncRows('sessions', shootNumber, sessionsValues);
+    }
+
+    if (folder && fs.existsSync(folder)) {
+      const address = email.trim().toLowerCase();
+      summary.attendees = new AttendeeList(folder).removeWhere(a =>
+        a.shootNumbers.some(shootNumber => targets.includes(shootNumber)) ||
+        (address && a.email.toLowerCase() === address)
+      );
+      summary.ledgerEntries = this.hooks.forgetCaptures(targets, folder);
+    }
+    this.hooks.forgetSessions(targets);
+    return summary;
+  }
+
+  async deleteGalleryUploads(folderPath, summary) {
+    const manifest = sessionManifest.readManifest(folderPath);
+    if (!manifest) return;
+
+    for (const capture of manifest.captures) {
+      for (const [fileName, upload] of Object.entries(capture.uploads || {})) {
+        if (upload.status !== 'uploaded') continue;
+        if (!upload.photoId) {
+          summary.galleryPhotos.failed.push({ galleryId: upload.galleryId, fileName, error: 'Uploaded by an older version - remove it in the gallery' });
+          summary.errors.push(`Gallery photo ${fileName} not deleted: uploaded by an older version - remove it in the gallery`);
+          continue;
+        }
+        const result = await this.hooks.deleteGalleryPhoto(upload.galleryId, upload.photoId);
+        if (result.success) {
+          summary.galleryPhotos.deleted++;
+        } else {
+          summary.galleryPhotos.failed.push({ galleryId: upload.galleryId, photoId: upload.photoId, fileName, error: result.error });
+          summary.errors.push(`Gallery photo ${fileName} not deleted: ${result.error} - remove it in the gallery`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Purge everything in an event (the event itself stays listed, marked as purged)
+   */
+  async purgeEvent(evt, { mode = 'delete', reason = 'manual' } = {}) {
+    const targets = this.listShootNumbers(evt);
+    const active = targets.filter(shootNumber => this.hooks.isActive(shootNumber));
+    if (active.length > 0) {
+      throw new Error(`End the active session(s) first: ${active.join(', ')}`);
+    }
+
+    const summary = await this.purgeSessions(evt, targets, { mode });
+    // The pre-registration list and signatures are personal data even without sessions
+    const { folder } = eventFiles(evt);
+    if (folder) {
+      for (const leftover of ['.attendees.json', 'signatures']) {
+        fs.rmSync(path.join(folder, leftover), { recursive: true, force: true });
+      }
+    }
+    return this.writeReport({ reason, mode, scope: 'event', events: [summary] });
+  }
+
+  /**
+   * Purge one person's sessions in an event
+   */
+  async purgePerson(evt, shootNumber, { mode = 'delete', reason = 'manual' } = {}) {
+    if (this.hooks.isActive(shootNumber)) {
+      throw new Error(`${shootNumber} is in an active session - end it first`);
+    }
+    const summary = await this.purgeSessions(evt, [shootNumber], { mode });
+    return this.writeReport({ reason, mode, scope: 'person', events: [summary] });
+  }
+
+  /**
+   * Right to erasure: delete everything about the person with this email in every event
+   */
+  async eraseByEmail(events, email) {
+    const found = events.map(evt => ({ evt, targets: this.findByEmail(evt, email) }));
+    const active = found.flatMap(f => f.targets).filter(shootNumber => this.hooks.isActive(shootNumber));
+    if (active.length > 0) {
+      throw new Error(`End the active session(s) first: ${active.join(', ')}`);
+    }
+
+    const summaries = [];
+    for (const { evt, targets } of found) {
+      const summary = await this.purgeSessions(evt, targets, { mode: 'delete', email });
+      if (targets.length > 0 || summary.attendees > 0) summaries.push(summary);
+    }
+    return this.writeReport({
+      reason: 'erasure request',
+      mode: 'delete',
+      scope: 'person',
+      subject: { emailSha256: hashEmail(email) },
+      events: summaries
+    });
+  }
+
+  /**
+   * Whether an event's retention period has run out since its last session
+   */
+  isRetentionDue(evt, now = Date.now()) {
+    const retention = normalizeRetention(evt.retention);
+    if (!retention.days) return false;
+
+    const { sessionsFile } = eventFiles(evt);
+    const timestamps = readCsvFile(sessionsFile).rows
+      .map(row => Date.parse(row.timestamp))
+      .filter(time => !isNaN(time));
+    const lastActivity = Math.max(Date.parse(evt.createdAt) || 0, ...timestamps);
+
+    // Sessions added after the last purge start the clock again
+    const purgedAt = evt.purgedAt ? Date.parse(evt.purgedAt) : 0;
+    return lastActivity > purgedAt && now - lastActivity > retention.days * DAY_MS;
+  }
+
+  writeReport(report) {
+    const full = {
+      id: `purge-${new Date().toISOString().replace(/[:.]/g, '-')}`,
+      createdAt: new Date().toISOString(),
+      ...report
+    };
+    try {
+      fs.mkdirSync(this.reportsPath, { recursive: true });
+      full.reportPath = path.join(this.reportsPath, `${full.id}.json`);
+      fs.writeFileSync(full.reportPath, JSON.stringify(full, null, 2));
+    } catch (err) {
+      console.error('Error writing purge report:', err);
+    }
+    return full;
+  }
+}
+
+DataPurge.MODES = MODES;
+DataPurge.normalizeRetention = normalizeRetention;
+
+module.exports = DataPurge;
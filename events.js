@@ -0,0 +1,170 @@
+/**
+ * Event Workspaces
+ * An event bundles everything that changes from one job to the next: output folder and
+ * CSV files, enhancement preset, gallery selection, shoot numbering and counter, registration
+ * form fields, consent terms and data retention policy. Switching events swaps all of them at
+ * once; past events stay listed so they can still be reprocessed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class EventStore {
+  constructor(app) {
+    this.app = app;
+    this.filePath = path.join(app.getPath('userData'), 'events.json');
+    this.events = [];
+    this.activeEventId = null;
+
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        this.events = data.events || [];
+        this.activeEventId = data.activeEventId || null;
+        if (!this.get(this.activeEventId) && this.events.length > 0) {
+          this.activeEventId = this.events[0].id;
+        }
+      }
+    } catch (error) {
+      console.error('Error loading events:', error);
+      this.events = [];
+      this.activeEventId = null;
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify({
+        activeEventId: this.activeEventId,
+        events: this.events
+      }, null, 2));
+    } catch (error) {
+      console.error('Error saving events:', error);
+    }
+  }
+
+  /**
+   * Create the first event from settings saved by versions without events
+   * @param {object} snapshot - { outputFolder, sessionsFile, contactsFile, enhancement, gallery }
+   */
+  migrateFromSettings(snapshot) {
+    if (this.events.length > 0) {
+      return this.getActive();
+    }
+
+    // Carry over today's shoot counter so numbers don't restart at 001 mid-event
+    let counter = null;
+    const legacyCounterPath = path.join(this.app.getPath('userData'), 'shoot_counter.json');
+    if (fs.existsSync(legacyCounterPath)) {
+      try {
+        counter = JSON.parse(fs.readFileSync(legacyCounterPath, 'utf-8'));
+      } catch (e) {
+        console.log('Error reading legacy counter:', e);
+      }
+    }
+
+    const event = this.create({
+      name: snapshot.outputFolder ? path.basename(snapshot.outputFolder) : 'My Event',
+      ...snapshot
+    });
+    event.counter = counter;
+    this.activeEventId = event.id;
+    this.save();
+    return event;
+  }
+
+  list() {
+    return this.events.map(e => ({ ...e, isActive: e.id === this.activeEventId }));
+  }
+
+  get(eventId) {
+    return this.events.find(e => e.id === eventId) || null;
+  }
+
+  getActive() {
+    return this.get(this.activeEventId) || this.events[0] || null;
+  }
+
+  /**
+   * @param {object} details - { name, outputFolder, sessionsFile, contactsFile, enhancement, gallery, numbering, registration, consent, retention }
+   */
+  create(details) {
+    const event = {
+      id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      name: (details.name || '').trim() || 'Untitled Event',
+      outputFolder: details.outputFolder || '',
+      sessionsFile: details.sessionsFile || '',
+      contactsFile: details.contactsFile || '',
+      enhancement: { ...(details.enhancement || {}) },
+      gallery: { ...(details.gallery || {}) },
+      numbering: details.numbering ? { ...details.numbering } : null,
+      registration: details.registration ? JSON.parse(JSON.stringify(details.registration)) : null,
+      consent: details.consent ? JSON.parse(JSON.stringify(details.consent)) : null,
+      // { days, mode } - personal data is purged this long after the last session
+      retention: details.retention ? { ...details.retention } : null,
+      purgedAt: null,
+      counter: null,
+      createdAt: new Date().toISOString()
+    };
+    this.events.push(event);
+    this.save();
+    return event;
+  }
+
+  update(eventId, changes) {
+    const event = this.get(eventId);
+    if (!event) return null;
+
+    Object.assign(event, changes);
+    this.save();
+    return event;
+  }
+
+  /**
+   * Forget an event (its folders and files on disk are left alone)
+   */
+  remove(eventId) {
+    if (eventId === this.activeEventId) {
+      return false;
+    }
+    this.events = this.events.filter(e => e.id !== eventId);
+    this.save();
+    return true;
+  }
+
+  setActive(eventId) {
+    if (!this.get(eventId)) return null;
+    this.activeEventId = eventId;
+    this.save();
+    return this.getActive();
+  }
+
+  /**
+   * Next sequence number for the active event's shoot numbers
+   * The counter restarts whenever the key (the shoot number minus its sequence) changes
+   * @param {string} key - From shootNumber.counterKey(), e.g. '20260120-B-#'
+   */
+  nextSequence(key, startAt = 1) {
+    const event = this.getActive();
+    let counter = event.counter;
+    // Counters from before numbering templates were per date, i.e. the default {date}-{seq}
+    if (counter && counter.key === undefined && counter.date) {
+      counter = { key: `${counter.date}-#`, count: counter.count };
+    }
+    if (!counter || counter.key !== key) {
+      counter = { key, count: 0 };
+    }
+
+    counter.count = Math.max(counter.count + 1, startAt);
+    event.counter = counter;
+    this.save();
+
+    return counter.count;
+  }
+}
+
+module.exports = EventStore;
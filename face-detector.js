@@ -0,0 +1,217 @@
+/**
+ * Face Detector
+ * On-device face and landmark detection with the YuNet ONNX model (OpenCV Zoo), run on the CPU
+ * through onnxruntime-node. Returns each face's box, eyes, nose, mouth corners and chin, plus
+ * a head box reaching up to the crown, so framing works from the person's real features
+ * rather than from where the image looks busiest.
+ * The model is fetched into models/ by fetch-models.js when dependencies are installed. When
+ * it or the runtime is missing, detect() returns null and the processor falls back to smartcrop.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const MODEL_FILENAME = 'face_detection_yunet_2023mar.onnx';
+const INPUT_SIZE = 640;               // Square model input; the image is scaled to fit and padded
+const STRIDES = [8, 16, 32];
+const SCORE_THRESHOLD = 0.7;
+const NMS_THRESHOLD = 0.3;
+
+// YuNet landmark order (the subject's right eye is on the image's left)
+const LANDMARKS = ['rightEye', 'leftEye', 'nose', 'mouthRight', 'mouthLeft'];
+
+// The model ships inside the app bundle; native code can't read from app.asar
+function defaultModelPath() {
+  return path.join(__dirname, 'models', MODEL_FILENAME).replace(`app.asar${path.sep}`, `app.asar.unpacked${path.sep}`);
+}
+
+function iou(a, b) {
+  const x1 = Math.max(a.x, b.x);
+  const y1 = Math.max(a.y, b.y);
+  const x2 = Math.min(a.x + a.width, b.x + b.width);
+  const y2 = Math.min(a.y + a.height, b.y + b.height);
+  const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+  const union = a.width * a.height + b.width * b.height - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+// Keep the best-scoring box of each overlapping group
+function nonMaxSuppression(candidates) {
+  const kept = [];
+  for (const candidate of candidates.sort((a, b) => b.score - a.score)) {
+    if (kept.every(face => iou(face.box, candidate.box) < NMS_THRESHOLD)) {
+      kept.push(candidate);
+    }
+  }
+  return kept;
+}
+
+/**
+ * Derived points: chin at the bottom of the face box below the mouth, the head box from the
+ * crown (as far above the eyes as the chin is below them) to the chin, and the head's roll
+ */
+function describeFace({ box, score, points }) {
+  const landmarks = {};
+  LANDMARKS.forEach((name, i) => { landmarks[name] = points[i]; });
+
+  const eyeY = (landmarks.rightEye.y + landmarks.leftEye.y) / 2;
+  const mouthX = (landmarks.mouthRight.x + landmarks.mouthLeft.x) / 2;
+  landmarks.chin = { x: mouthX, y: box.y + box.height };
+
+  const crownY = eyeY - (landmarks.chin.y - eyeY);
+  const headBox = { x: box.x, y: crownY, width: box.width, height: landmarks.chin.y - crownY };
+
+  // Positive when the subject's left eye (image right) sits lower
+  const rollDegrees = Math.atan2(landmarks.leftEye.y - landmarks.rightEye.y, landmarks.leftEye.x - landmarks.rightEye.x) * 180 / Math.PI;
+
+  return { box, headBox, landmarks, rollDegrees, score };
+}
+
+class FaceDetector {
+  constructor(modelPath = defaultModelPath()) {
+    this.modelPath = modelPath;
+    this.session = null;
+    this.ort = null;
+    this.unavailable = null; // Reason the detector can't run, once known
+  }
+
+  /**
+   * Load the runtime and model on first use
+   * @returns {Promise<boolean>} false when either is missing
+   */
+  async load() {
+    if (this.session) return true;
+    if (this.unavailable) return false;
+
+    try {
+      if (!fs.existsSync(this.modelPath)) {
+        throw new Error(`Model not found: ${this.modelPath}`);
+      }
+      this.ort = require('onnxruntime-node');
+      this.session = await this.ort.InferenceSession.create(this.modelPath, {
+        executionProviders: ['cpu'],
+        graphOptimizationLevel: 'all'
+      });
+      return true;
+    } catch (error) {
+      this.unavailable = error.message;
+      console.error('Face detector unavailable, using smartcrop:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Scale the (EXIF-oriented) image into the padded model input: planar BGR, 0-255
+   * @returns {Promise<{ tensor: object, scale: number, width: number, height: number }>}
+   */
+  async prepareInput(imagePath) {
+    // Orientations 5-8 are rotated a quarter turn, so width and height swap
+    const metadata = await sharp(imagePath).metadata();
+    const quarterTurn = metadata.orientation >= 5;
+    const width = quarterTurn ? metadata.height : metadata.width;
+    const height = quarterTurn ? metadata.width : metadata.height;
+    const scale = INPUT_SIZE / Math.max(width, height);
+    const scaledWidth = Math.round(width * scale);
+    const scaledHeight = Math.round(height * scale);
+
+    const { data } = await sharp(imagePath)
+      .rotate()
+      .resize(scaledWidth, scaledHeight, { fit: 'fill' })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const plane = INPUT_SIZE * INPUT_SIZE;
+    const input = new Float32Array(3 * plane);
+    for (let y = 0; y < scaledHeight; y++) {
+      for (let x = 0; x < scaledWidth; x++) {
+        const source = (y * scaledWidth + x) * 3;
+        const target = y * INPUT_SIZE + x;
+        input[target] = data[source + 2];             // B
+        input[plane + target] = data[source + 1];     // G
+        input[2 * plane + target] = data[source];     // R
+      }
+    }
+
+    return {
+      tensor: new this.ort.Tensor('float32', input, [1, 3, INPUT_SIZE, INPUT_SIZE]),
+      scale,
+      width,
+      height
+    };
+  }
+
+  // Turn the per-stride score, box and landmark maps into faces in model input pixels
+  decode(outputs) {
+    const candidates = [];
+    for (const stride of STRIDES) {
+      const cls = outputs[`cls_${stride}`].data;
+      const obj = outputs[`obj_${stride}`].data;
+      const bbox = outputs[`bbox_${stride}`].data;
+      const kps = outputs[`kps_${stride}`].data;
+      const cols = INPUT_SIZE / stride;
+      const rows = INPUT_SIZE / stride;
+
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          const i = row * cols + col;
+          const score = Math.sqrt(Math.min(Math.max(cls[i], 0), 1) * Math.min(Math.max(obj[i], 0), 1));
+          if (score < SCORE_THRESHOLD) continue;
+
+          const centerX = (col + bbox[i * 4]) * stride;
+          const centerY = (row + bbox[i * 4 + 1]) * stride;
+          const width = Math.exp(bbox[i * 4 + 2]) * stride;
+          const height = Math.exp(bbox[i * 4 + 3]) * stride;
+          const points = [];
+          for (let n = 0; n < LANDMARKS.length; n++) {
+            points.push({
+              x: (kps[i * 10 + n * 2] + col) * stride,
+              y: (kps[i * 10 + n * 2 + 1] + row) * stride
+            });
+          }
+          candidates.push({
+            score,
+            box: { x: centerX - width / 2, y: centerY - height / 2, width, height },
+            points
+          });
+        }
+      }
+    }
+    return nonMaxSuppression(candidates);
+  }
+
+  /**
+   * Find faces in an image
+   * @returns {Promise<object|null>} { imageWidth, imageHeight, faces } in oriented image pixels,
+   *   largest face first; null when the detector isn't available
+   */
+  async detect(imagePath) {
+    if (!(await this.load())) {
+      return null;
+    }
+
+    const { tensor, scale, width, height } = await this.prepareInput(imagePath);
+    const outputs = await this.session.run({ [this.session.inputNames[0]]: tensor });
+
+    const toImage = value => value / scale;
+    const faces = this.decode(outputs)
+      .map(face => describeFace({
+        score: face.score,
+        box: {
+          x: toImage(face.box.x),
+          y: toImage(face.box.y),
+          width: toImage(face.box.width),
+          height: toImage(face.box.height)
+        },
+        points: face.points.map(point => ({ x: toImage(point.x), y: toImage(point.y) }))
+      }))
+      .sort((a, b) => b.box.width * b.box.height - a.box.width * a.box.height);
+
+    return { imageWidth: width, imageHeight: height, faces };
+  }
+}
+
+FaceDetector.MODEL_FILENAME = MODEL_FILENAME;
+
+module.exports = FaceDetector;
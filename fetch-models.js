@@ -0,0 +1,40 @@
+/**
+ * Fetch Models
+ * Downloads the face detection model into models/ so it's bundled with the app (npm run
+ * fetch-models). Skipped when the file is already there. Set FACE_MODEL_URL to use a mirror.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+// Same as FaceDetector.MODEL_FILENAME - not required from there, as that loads sharp
+const MODEL_FILENAME = 'face_detection_yunet_2023mar.onnx';
+const MODEL_URL = process.env.FACE_MODEL_URL ||
+  `https://media.githubusercontent.com/media/opencv/opencv_zoo/main/models/face_detection_yunet/${MODEL_FILENAME}`;
+const MIN_MODEL_BYTES = 100 * 1024; // A Git LFS pointer or error page is far smaller
+
+async function fetchModel() {
+  const modelPath = path.join(__dirname, 'models', MODEL_FILENAME);
+  if (fs.existsSync(modelPath)) {
+    console.log(`Face detection model present: ${modelPath}`);
+    return;
+  }
+
+  console.log(`Downloading face detection model from ${MODEL_URL}...`);
+  const response = await axios.get(MODEL_URL, { responseType: 'arraybuffer', timeout: 120000 });
+  const data = Buffer.from(response.data);
+  if (data.length < MIN_MODEL_BYTES) {
+    throw new Error(`Download is only ${data.length} bytes - not the model`);
+  }
+
+  fs.mkdirSync(path.dirname(modelPath), { recursive: true });
+  fs.writeFileSync(modelPath, data);
+  console.log(`Saved ${modelPath} (${Math.round(data.length / 1024)} KB)`);
+}
+
+// A failed download leaves the app on smartcrop framing rather than failing the install
+fetchModel().catch(error => {
+  console.error('Could not download the face detection model:', error.message);
+  console.error('Framing will use smartcrop until it is fetched (npm run fetch-models).');
+});
@@ -0,0 +1,173 @@
+/**
+ * Framing Profiles
+ * Where the head sits in each crop. Eye-line profiles scale every crop so the head (crown to
+ * chin) fills the same share of the frame and put the eyes on the same line, so a page of
+ * staff directory photos looks uniform however far each person stood from the camera. New
+ * events use the staff directory profile. The 'format' profile is how crops were framed before
+ * profiles existed - each output format's own framing and face position (see output-formats.js)
+ * - and stays the profile of presets saved back then. The profile is part of the event's
+ * enhancement preset, so everyone in an event is framed the same way.
+ */
+
+/**
+ * Built-in profiles
+ *   eyeLine    - eye line as a fraction of the crop height from the top
+ *   headHeight - crown-to-chin height as a fraction of the crop height
+ * Each leaves at least MIN_HEAD_ROOM above the crown and SHOULDER_ROOM below the chin
+ * (eyes sit about halfway down the head).
+ */
+const PROFILES = {
+  format: { id: 'format', label: 'Per output format (legacy)', eyeLine: null, headHeight: null },
+  directory: { id: 'directory', label: 'Staff directory (head and shoulders)', eyeLine: 0.40, headHeight: 0.50 },
+  close: { id: 'close', label: 'Close-up (avatars, badges)', eyeLine: 0.42, headHeight: 0.62 },
+  upperBody: { id: 'upperBody', label: 'Upper body', eyeLine: 0.33, headHeight: 0.32 }
+};
+
+const DEFAULT_PROFILE = 'directory';
+// Presets saved before framing profiles existed keep framing the way they always did
+const LEGACY_PROFILE = 'format';
+
+const EDGE_MARGIN = 0.05;              // Stay 5% of the smaller dimension from the image edges (backdrop corners)
+const MIN_HEAD_ROOM = 0.08;            // Minimum 8% space above head
+const SHOULDER_ROOM = 0.25;            // Include ~25% below the chin for shoulders
+
+// Head proportions relative to the face height, measured from the nose - used when the
+// face position is smartcrop's estimate rather than landmarks
+const CROWN_ABOVE_NOSE = 0.7;
+const CHIN_BELOW_NOSE = 0.45;
+const EYES_ABOVE_NOSE = 0.15;
+const FACE_WIDTH_RATIO = 1 / 1.3;
+
+/**
+ * Crown, chin and eye line (in source pixels): from the landmarks when the detector found
+ * them, otherwise estimated from the face centre and height
+ */
+function headGeometry(faceData) {
+  const { faceCenterX, faceCenterY, estimatedFaceHeight, landmarks, headBox, faceBox } = faceData;
+  if (landmarks) {
+    return {
+      centerX: headBox.x + headBox.width / 2,
+      crownY: headBox.y,
+      chinY: landmarks.chin.y,
+      eyeY: (landmarks.rightEye.y + landmarks.leftEye.y) / 2,
+      faceY: faceBox.y + faceBox.height / 2,
+      faceWidth: faceBox.width,
+      faceHeight: faceBox.height
+    };
+  }
+  return {
+    centerX: faceCenterX,
+    crownY: faceCenterY - estimatedFaceHeight * CROWN_ABOVE_NOSE,
+    chinY: faceCenterY + estimatedFaceHeight * CHIN_BELOW_NOSE,
+    eyeY: faceCenterY - estimatedFaceHeight * EYES_ABOVE_NOSE,
+    faceY: faceCenterY,
+    faceWidth: estimatedFaceHeight * FACE_WIDTH_RATIO,
+    faceHeight: estimatedFaceHeight
+  };
+}
+
+function getProfile(profileId) {
+  return PROFILES[profileId] || PROFILES[DEFAULT_PROFILE];
+}
+
+/**
+ * Profile id for a saved preset's framingProfile: the legacy profile when it has none,
+ * the default when it names one that doesn't exist
+ */
+function resolveProfileId(profileId) {
+  if (profileId === undefined || profileId === null) {
+    return LEGACY_PROFILE;
+  }
+  return getProfile(profileId).id;
+}
+
+/**
+ * Crop region for one output format
+ * @param {object} faceData - From HeadshotProcessor.detectFaceAndCrop()
+ * @param {object} format - Output format: { aspectRatio, framing, facePosition }
+ * @param {string} profileId - One of PROFILES
+ * @returns {object} { left, top, width, height } in oriented image pixels, plus headFraction
+ *   and eyeLine as achieved, and warnings when the profile couldn't be met
+ */
+function planCrop(faceData, format, profileId) {
+  const { imageWidth, imageHeight } = faceData;
+  const { aspectRatio } = format;
+  const profile = getProfile(profileId);
+  const head = headGeometry(faceData);
+  const headHeight = head.chinY - head.crownY;
+  const warnings = [];
+
+  const edgeMargin = Math.round(Math.min(imageWidth, imageHeight) * EDGE_MARGIN);
+  const safeWidth = imageWidth - (edgeMargin * 2);
+  const safeHeight = imageHeight - (edgeMargin * 2);
+
+  // Crop height that gives the profile's head size - or the format's, in face heights
+  // (e.g. 3.5 takes in head to chest/shoulders, 3.0 head to upper chest)
+  const targetHeight = profile.headHeight
+    ? headHeight / profile.headHeight
+    : faceData.estimatedFaceHeight * format.framing;
+  let height = Math.min(targetHeight, safeHeight);
+  let width = height * aspectRatio;
+  if (width > safeWidth) {
+    width = safeWidth;
+    height = width / aspectRatio;
+  }
+  width = Math.round(width);
+  height = Math.round(height);
+  if (height < targetHeight * 0.98) {
+    warnings.push('Subject is too close for this framing - the head is larger than the rest of the event');
+  }
+
+  // HORIZONTAL: centre on the head
+  let left = Math.round(head.centerX - width / 2);
+
+  // VERTICAL: eyes on the profile's line, or the face centre (nose) at the format's position
+  let top = profile.eyeLine
+    ? head.eyeY - height * profile.eyeLine
+    : faceData.faceCenterY - height * format.facePosition;
+  if (profile.eyeLine) {
+    // Keep shoulder room below the chin, then head room above the crown (which wins)
+    top = Math.max(top, head.chinY - height * (1 - SHOULDER_ROOM));
+    top = Math.min(top, head.crownY - height * MIN_HEAD_ROOM);
+  }
+  top = Math.round(top);
+
+  // Clamp to safe bounds (with edge margin) to avoid backdrop corners
+  const wantedLeft = left;
+  const wantedTop = top;
+  left = Math.max(edgeMargin, Math.min(left, imageWidth - edgeMargin - width));
+  top = Math.max(edgeMargin, Math.min(top, imageHeight - edgeMargin - height));
+
+  // Final safety check - ensure we're within actual image bounds
+  left = Math.max(0, Math.min(left, imageWidth - width));
+  top = Math.max(0, Math.min(top, imageHeight - height));
+
+  if (Math.abs(left - wantedLeft) > width * 0.02) {
+    warnings.push('Subject is too near the side of the frame to centre');
+  }
+  if (Math.abs(top - wantedTop) > height * 0.02) {
+    warnings.push(top > wantedTop
+      ? 'Not enough room above the head - it sits higher in the frame than the rest of the event'
+      : 'Not enough room below the chin - the head sits lower in the frame than the rest of the event');
+  }
+
+  return {
+    left,
+    top,
+    width,
+    height,
+    profile: profile.id,
+    headFraction: headHeight / height,
+    eyeLine: (head.eyeY - top) / height,
+    warnings
+  };
+}
+
+module.exports = {
+  PROFILES,
+  DEFAULT_PROFILE,
+  LEGACY_PROFILE,
+  resolveProfileId,
+  headGeometry,
+  planCrop
+};
@@ -13,6 +13,7 @@ class TurboIQGalleryClient {
     this.baseUrl = 'https://iq.turbo.net.au';
     this.accessToken = null;
     this.tokenExpiry = null;
+    this.refreshToken = null; // Only issued by servers that support /auth/refresh
     this.username = null;
   }
 
@@ -109,10 +110,8 @@ class TurboIQGalleryClient {
       });
 
       if (result.success && result.data.access_token) {
-        this.accessToken = result.data.access_token;
+        this.setTokens(result.data);
         this.username = result.data.username || username;
-        // Set expiry to 23 hours from now (tokens last 24h)
-        this.tokenExpiry = Date.now() + (23 * 60 * 60 * 1000);
 
         return {
           success: true,
@@ -130,6 +129,47 @@ class TurboIQGalleryClient {
     }
   }
 
+  /**
+   * Get a new access token with the refresh token, so the password needn't be kept
+   * POST /api/auth/refresh
+   */
+  async refresh() {
+    if (!this.refreshToken) {
+      return { success: false, error: 'No refresh token' };
+    }
+
+    try {
+      const result = await this.request('/auth/refresh', {
+        method: 'POST',
+        body: { refresh_token: this.refreshToken },
+        skipAuth: true
+      });
+
+      if (result.success && result.data.access_token) {
+        this.setTokens(result.data);
+        return { success: true };
+      }
+
+      // A rejected refresh token can't be retried - the user has to log in again
+      if (result.statusCode === 401 || result.statusCode === 403) {
+        this.refreshToken = null;
+      }
+      return { success: false, error: result.error || 'Session expired' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  setTokens(data) {
+    this.accessToken = data.access_token;
+    // Use the server's lifetime when given, otherwise 23 hours (tokens last 24h)
+    const lifetime = data.expires_in ? (data.expires_in - 60) * 1000 : 23 * 60 * 60 * 1000;
+    this.tokenExpiry = Date.now() + lifetime;
+    if (data.refresh_token) {
+      this.refreshToken = data.refresh_token;
+    }
+  }
+
   /**
    * Test the connection/authentication
    */
@@ -410,6 +450,7 @@ class TurboIQGalleryClient {
       return {
         success: true,
         photo: completeResult.photo,
+        photoId: presignedResult.photoId,
         filename,
         message: `Uploaded ${filename} successfully`
       };
@@ -420,12 +461,40 @@ class TurboIQGalleryClient {
     }
   }
 
+  /**
+   * Remove a photo from a gallery (personal data purge)
+   * DELETE /api/galleries/{id}/photos/{photoId}
+   * Only a 2xx counts as deleted - a 404 may mean the server has no delete endpoint, so the
+   * photo could still be public and has to be checked by hand
+   */
+  async deletePhoto(galleryId, photoId) {
+    if (!this.isAuthenticated()) {
+      return { success: false, error: 'Not authenticated' };
+    }
+
+    try {
+      const result = await this.request(`/galleries/${galleryId}/photos/${photoId}`, {
+        method: 'DELETE'
+      });
+      if (result.success) {
+        return { success: true };
+      }
+      if (result.statusCode === 404) {
+        return { success: false, error: 'Gallery returned 404 - check the photo is gone and remove it by hand if not' };
+      }
+      return { success: false, error: result.error };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Clear authentication tokens
    */
   logout() {
     this.accessToken = null;
     this.tokenExpiry = null;
+    this.refreshToken = null;
     this.username = null;
   }
 
@@ -436,6 +505,7 @@ class TurboIQGalleryClient {
     return {
       accessToken: this.accessToken,
       tokenExpiry: this.tokenExpiry,
+      refreshToken: this.refreshToken,
       username: this.username
     };
   }
@@ -447,6 +517,7 @@ class TurboIQGalleryClient {
     if (state) {
       this.accessToken = state.accessToken || null;
       this.tokenExpiry = state.tokenExpiry || null;
+      this.refreshToken = state.refreshToken || null;
       this.username = state.username || null;
     }
   }
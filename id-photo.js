@@ -0,0 +1,380 @@
+/**
+ * Passport / ID Photo Compliance
+ * Turns a capture into a passport or visa photo for a country's rule set: the frame is sized
+ * so the head (chin to crown) measures what the rules ask for at 300 dpi, the background is
+ * replaced with a plain light colour, and a checklist records whether the frame meets each
+ * rule. Frames that can't meet them (head too close to the edge, low resolution, patchy
+ * background, poor exposure) are flagged rather than silently delivered.
+ * Outputs go into Processed/ next to the headshot formats:
+ *   <baseName>-ID_<rules>.jpg          the photo at print size (300 dpi)
+ *   <baseName>-ID_<rules>-SHEET.jpg    6x4" print sheet with as many copies as fit
+ *   <baseName>-ID_<rules>-REPORT.json  the checklist
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { headGeometry } = require('./framing');
+
+const DPI = 300;
+const MM_PER_INCH = 25.4;
+
+// Print sheet: 6x4" photo paper, with a gap between copies for cutting
+const SHEET_MM = { width: 152, height: 102 };
+const SHEET_GAP_MM = 2;
+
+/**
+ * Country rule sets
+ *   widthMm, heightMm - finished photo size
+ *   headHeightMm      - allowed chin-to-crown height; the frame is sized for the middle
+ *   crownTopMm        - space above the crown
+ *   eyeLineMm         - allowed eye height above the bottom edge, where the rules set one
+ *   background        - fill colour for the replaced background
+ *   maxTiltDegrees    - allowed head tilt
+ */
+const RULE_SETS = {
+  AU: {
+    id: 'AU',
+    label: 'Australia (passport)',
+    widthMm: 35,
+    heightMm: 45,
+    headHeightMm: [32, 36],
+    crownTopMm: 4,
+    eyeLineMm: null,
+    background: '#F2F2F2',
+    maxTiltDegrees: 5
+  },
+  US: {
+    id: 'US',
+    label: 'United States (passport / visa)',
+    widthMm: 51,
+    heightMm: 51,
+    headHeightMm: [25, 35],
+    crownTopMm: 6,
+    eyeLineMm: [28, 35],
+    background: '#FFFFFF',
+    maxTiltDegrees: 5
+  },
+  UK: {
+    id: 'UK',
+    label: 'United Kingdom (passport)',
+    widthMm: 35,
+    heightMm: 45,
+    headHeightMm: [29, 34],
+    crownTopMm: 5,
+    eyeLineMm: null,
+    background: '#E8E8E8',
+    maxTiltDegrees: 5
+  },
+  EU: {
+    id: 'EU',
+    label: 'EU / ICAO 9303',
+    widthMm: 35,
+    heightMm: 45,
+    headHeightMm: [32, 36],
+    crownTopMm: 4,
+    eyeLineMm: null,
+    background: '#EEEEEE',
+    maxTiltDegrees: 5
+  }
+};
+
+// Checklist thresholds
+const MIN_SOURCE_SCALE = 0.75;         // Source pixels per output pixel before it's too soft to print
+const BACKGROUND_MAX_DEVIATION = 14;   // Luminance standard deviation of a plain background
+const BACKGROUND_MIN_LUMINANCE = 175;  // Light background
+const FACE_LUMINANCE_RANGE = [85, 205];
+const MAX_CLIPPED = 0.02;              // Share of face pixels blown out or crushed
+
+function mmToPx(mm) {
+  return Math.round(mm / MM_PER_INCH * DPI);
+}
+
+function pxToMm(px) {
+  return Math.round(px / DPI * MM_PER_INCH * 10) / 10;
+}
+
+function isEnabled(options) {
+  return !!RULE_SETS[options.idPhotoRules];
+}
+
+/**
+ * Source region for the photo: scaled so the head is the middle of the allowed height,
+ * centred on the face with the rule set's space above the crown
+ */
+function planFrame(rules, faceData) {
+  const head = headGeometry(faceData);
+  const width = mmToPx(rules.widthMm);
+  const height = mmToPx(rules.heightMm);
+  const targetHeadMm = (rules.headHeightMm[0] + rules.headHeightMm[1]) / 2;
+  const scale = mmToPx(targetHeadMm) / (head.chinY - head.crownY);
+
+  const crop = {
+    left: Math.round(head.centerX - width / scale / 2),
+    top: Math.round(head.crownY - mmToPx(rules.crownTopMm) / scale),
+    width: Math.round(width / scale),
+    height: Math.round(height / scale)
+  };
+  const fits = crop.left >= 0 && crop.top >= 0 &&
+    crop.left + crop.width <= faceData.imageWidth &&
+    crop.top + crop.height <= faceData.imageHeight;
+
+  return { head, width, height, scale, crop, fits, headHeightMm: targetHeadMm };
+}
+
+// Mean and standard deviation of a region of a greyscale raw buffer
+function regionStats(pixels, imageWidth, region) {
+  let sum = 0;
+  let sumSquares = 0;
+  let clipped = 0;
+  let count = 0;
+  const right = Math.min(region.left + region.width, imageWidth);
+  const bottom = Math.min(region.top + region.height, pixels.length / imageWidth);
+  for (let y = Math.max(0, region.top); y < bottom; y++) {
+    for (let x = Math.max(0, region.left); x < right; x++) {
+      const value = pixels[y * imageWidth + x];
+      sum += value;
+      sumSquares += value * value;
+      if (value >= 250 || value <= 5) clipped++;
+      count++;
+    }
+  }
+  if (count === 0) return { mean: 0, deviation: 0, clipped: 0 };
+  const mean = sum / count;
+  return {
+    mean,
+    deviation: Math.sqrt(Math.max(0, sumSquares / count - mean * mean)),
+    clipped: clipped / count
+  };
+}
+
+function check(id, label, status, detail) {
+  return { id, label, status, detail };
+}
+
+/**
+ * Checks that need the finished frame: background (unless it was replaced) and exposure
+ */
+async function measureFrame(framePath, plan, backgroundReplaced, rules) {
+  const { data, info } = await sharp(framePath).greyscale().raw().toBuffer({ resolveWithObject: true });
+  const checks = [];
+
+  if (backgroundReplaced) {
+    checks.push(check('background', 'Plain light background', 'pass', `Replaced with ${rules.background}`));
+  } else {
+    // Top corners - clear of the head in a correctly framed photo
+    const corner = { width: Math.round(info.width * 0.2), height: Math.round(info.height * 0.15) };
+    const left = regionStats(data, info.width, { left: 0, top: 0, ...corner });
+    const right = regionStats(data, info.width, { left: info.width - corner.width, top: 0, ...corner });
+    const deviation = Math.max(left.deviation, right.deviation, Math.abs(left.mean - right.mean));
+    const luminance = Math.min(left.mean, right.mean);
+    const plain = deviation <= BACKGROUND_MAX_DEVIATION && luminance >= BACKGROUND_MIN_LUMINANCE;
+    checks.push(check('background', 'Plain light background', plain ? 'pass' : 'fail',
+      plain ? 'Original background is plain and light'
+        : `Background could not be replaced and is ${luminance < BACKGROUND_MIN_LUMINANCE ? 'too dark' : 'not plain'}`));
+  }
+
+  const { head, scale, crop } = plan;
+  const face = regionStats(data, info.width, {
+    left: Math.round((head.centerX - head.faceWidth / 2 - crop.left) * scale),
+    top: Math.round((head.faceY - head.faceHeight / 2 - crop.top) * scale),
+    width: Math.round(head.faceWidth * scale),
+    height: Math.round(head.faceHeight * scale)
+  });
+  const [minLuminance, maxLuminance] = FACE_LUMINANCE_RANGE;
+  let exposure = null;
+  if (face.mean < minLuminance) exposure = 'Face is underexposed';
+  else if (face.mean > maxLuminance) exposure = 'Face is overexposed';
+  else if (face.clipped > MAX_CLIPPED) exposure = `${Math.round(face.clipped * 100)}% of the face is blown out or in deep shadow`;
+  checks.push(check('exposure', 'Neutral exposure', exposure ? 'fail' : 'pass',
+    exposure || `Face brightness ${Math.round(face.mean)} of 255`));
+
+  return checks;
+}
+
+/**
+ * Lay out as many copies as fit on a 6x4" sheet (either way round), with cut guides
+ */
+async function writePrintSheet(photoPath, sheetPath, rules) {
+  const gap = mmToPx(SHEET_GAP_MM);
+  const photoWidth = mmToPx(rules.widthMm);
+  const photoHeight = mmToPx(rules.heightMm);
+
+  const layouts = [
+    { width: mmToPx(SHEET_MM.width), height: mmToPx(SHEET_MM.height) },
+    { width: mmToPx(SHEET_MM.height), height: mmToPx(SHEET_MM.width) }
+  ].map(sheet => ({
+    ...sheet,
+    columns: Math.floor((sheet.width - gap) / (photoWidth + gap)),
+    rows: Math.floor((sheet.height - gap) / (photoHeight + gap))
+  }));
+  const layout = layouts.reduce((best, l) => (l.columns * l.rows > best.columns * best.rows ? l : best));
+
+  const photo = await sharp(photoPath).toBuffer();
+  const offsetX = Math.round((layout.width - layout.columns * (photoWidth + gap) + gap) / 2);
+  const offsetY = Math.round((layout.height - layout.rows * (photoHeight + gap) + gap) / 2);
+  const tiles = [];
+  const guides = [];
+  for (let row = 0; row < layout.rows; row++) {
+    for (let column = 0; column < layout.columns; column++) {
+      const left = offsetX + column * (photoWidth + gap);
+      const top = offsetY + row * (photoHeight + gap);
+      tiles.push({ input: photo, left, top });
+      guides.push(`<rect x="${left - 0.5}" y="${top - 0.5}" width="${photoWidth + 1}" height="${photoHeight + 1}" fill="none" stroke="#BBBBBB" stroke-width="1"/>`);
+    }
+  }
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}">${guides.join('')}</svg>`;
+
+  await sharp({ create: { width: layout.width, height: layout.height, channels: 3, background: '#FFFFFF' } })
+    .composite([{ input: Buffer.from(svg), left: 0, top: 0 }, ...tiles])
+    .jpeg({ quality: 95 })
+    .withMetadata({ density: DPI })
+    .toFile(sheetPath);
+
+  return tiles.length;
+}
+
+// Overall result: any failed check fails the frame; checks that need a person's eye make it 'review'
+function overallStatus(checks) {
+  if (checks.some(c => c.status === 'fail')) return 'fail';
+  if (checks.some(c => c.status === 'review')) return 'review';
+  return 'pass';
+}
+
+/**
+ * Produce the ID photo, print sheet and checklist for one capture
+ * @param {object} context - { client (ReplicateClient, null to keep the original background),
+ *   item, options, workingImagePath, faceData, processedFolder, log }
+ * @returns {Promise<object>} { ruleSet, status, photoPath, sheetPath, reportPath, checks }
+ */
+async function processIdPhoto(context) {
+  const { client, item, options, workingImagePath, faceData, processedFolder, log } = context;
+  const rules = RULE_SETS[options.idPhotoRules];
+  const prefix = path.join(processedFolder, `${item.baseName}-ID_${rules.id}`);
+  const plan = planFrame(rules, faceData);
+  const checks = [];
+  const tempFiles = [];
+  let photoPath = null;
+  let sheetPath = null;
+
+  checks.push(check('frame', `Head fits a ${rules.widthMm}x${rules.heightMm} mm frame`, plan.fits ? 'pass' : 'fail',
+    plan.fits ? 'Centred on the face' : 'Not enough room around the head - step back or zoom out'));
+
+  if (plan.fits) {
+    // The head is always sized to the target, but only landmarks locate the chin and crown
+    if (faceData.source === 'landmarks') {
+      checks.push(check('headHeight', `Head height ${rules.headHeightMm[0]}-${rules.headHeightMm[1]} mm`, 'pass',
+        `Sized to ${plan.headHeightMm} mm chin to crown`));
+    } else {
+      checks.push(check('headHeight', `Head height ${rules.headHeightMm[0]}-${rules.headHeightMm[1]} mm`, 'review',
+        'Chin and crown are estimated without landmarks - check the head size by eye'));
+    }
+
+    if (rules.eyeLineMm) {
+      const eyeLineMm = pxToMm(plan.height - (plan.head.eyeY - plan.crop.top) * plan.scale);
+      const [min, max] = rules.eyeLineMm;
+      checks.push(check('eyeLine', `Eyes ${min}-${max} mm from the bottom`,
+        eyeLineMm >= min && eyeLineMm <= max ? 'pass' : 'fail', `${eyeLineMm} mm`));
+    }
+
+    const sourceScale = plan.crop.height / plan.height;
+    checks.push(check('resolution', 'Sharp at 300 dpi', sourceScale >= MIN_SOURCE_SCALE ? 'pass' : 'fail',
+      sourceScale >= MIN_SOURCE_SCALE
+        ? `${plan.crop.width}x${plan.crop.height} source pixels`
+        : `Only ${plan.crop.width}x${plan.crop.height} source pixels for ${plan.width}x${plan.height} - move closer or zoom in`));
+
+    if (typeof faceData.rollDegrees === 'number') {
+      const tilt = Math.abs(faceData.rollDegrees);
+      checks.push(check('tilt', `Head tilt under ${rules.maxTiltDegrees}°`, tilt <= rules.maxTiltDegrees ? 'pass' : 'fail',
+        `${tilt.toFixed(1)}° from level eyes`));
+    } else {
+      checks.push(check('tilt', `Head tilt under ${rules.maxTiltDegrees}°`, 'review',
+        'Tilt can\'t be measured from the face estimate - check by eye'));
+    }
+
+    if (faceData.faceCount > 1) {
+      checks.push(check('singleFace', 'Only the subject in frame', 'review',
+        `${faceData.faceCount} faces found - check nobody else is in the photo`));
+    }
+  }
+
+  try {
+    if (plan.fits) {
+      if (item.cancelled) {
+        throw new Error('Cancelled');
+      }
+
+      const framePath = path.join(item.outputFolder, `${item.baseName}_temp_id_frame.jpg`);
+      tempFiles.push(framePath);
+      await sharp(workingImagePath)
+        .rotate()
+        .extract(plan.crop)
+        .resize(plan.width, plan.height, { fit: 'cover' })
+        .jpeg({ quality: 95 })
+        .toFile(framePath);
+
+      // Plain background from the cut-out; the original stays when removal isn't possible
+      let backgroundReplaced = false;
+      photoPath = `${prefix}.jpg`;
+      if (client) {
+        log(`ID photo (${rules.id}): replacing background...`, 'step');
+        const removal = await client.removeBackground(framePath);
+        const cutoutPath = path.join(item.outputFolder, `${item.baseName}_temp_id_cutout.png`);
+        tempFiles.push(cutoutPath);
+        if (removal.success && (await client.downloadImage(removal.url, cutoutPath)).success) {
+          await sharp(cutoutPath)
+            .flatten({ background: rules.background })
+            .jpeg({ quality: 95 })
+            .withMetadata({ density: DPI })
+            .toFile(photoPath);
+          backgroundReplaced = true;
+        } else {
+          log(`ID photo (${rules.id}): background removal failed - ${removal.error || 'download failed'}`, 'warning');
+        }
+      }
+      if (!backgroundReplaced) {
+        await sharp(framePath).withMetadata({ density: DPI }).toFile(photoPath);
+      }
+
+      checks.push(...await measureFrame(framePath, plan, backgroundReplaced, rules));
+
+      if (options.idPhotoPrintSheet !== false) {
+        sheetPath = `${prefix}-SHEET.jpg`;
+        await writePrintSheet(photoPath, sheetPath, rules);
+      }
+    }
+  } finally {
+    for (const tempFile of tempFiles) {
+      if (fs.existsSync(tempFile)) {
+        try { fs.unlinkSync(tempFile); } catch (e) { /* ignore */ }
+      }
+    }
+  }
+
+  const report = {
+    ruleSet: rules.id,
+    rules: rules.label,
+    baseName: item.baseName,
+    shootNumber: item.shootNumber || null,
+    status: overallStatus(checks),
+    checkedAt: new Date().toISOString(),
+    photo: photoPath ? path.basename(photoPath) : null,
+    sheet: sheetPath ? path.basename(sheetPath) : null,
+    checks
+  };
+  const reportPath = `${prefix}-REPORT.json`;
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+  for (const failed of checks.filter(c => c.status === 'fail')) {
+    log(`ID photo (${rules.id}) FAIL - ${failed.label}: ${failed.detail}`, 'warning');
+  }
+  log(`ID photo (${rules.id}): ${report.status.toUpperCase()}`, report.status === 'fail' ? 'warning' : 'info');
+
+  return { ruleSet: rules.id, status: report.status, photoPath, sheetPath, reportPath, checks };
+}
+
+module.exports = {
+  RULE_SETS,
+  isEnabled,
+  processIdPhoto
+};
@@ -1,33 +1,100 @@
-const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, powerMonitor, safeStorage } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const { exec } = require('child_process');
 const { autoUpdater } = require('electron-updater');
 const HeadshotProcessor = require('./processor');
 const ReplicateClient = require('./replicate');
 const TurboIQGalleryClient = require('./gallery-client');
+const tetherSources = require('./tether-sources');
+const CaptureLedger = require('./capture-ledger');
+const CaptureInbox = require('./capture-inbox');
+const SessionStore = require('./session-store');
+const EventStore = require('./events');
+const shootNumbers = require('./shoot-number');
+const StationSync = require('./station-sync');
+const AttendeeList = require('./attendees');
+const { parseBadge } = require('./badge-parser');
+const registrationSchema = require('./registration-schema');
+const consent = require('./consent');
+const outputFormats = require('./output-formats');
+const idPhoto = require('./id-photo');
+const framing = require('./framing');
+const DataPurge = require('./data-purge');
+const AuditLog = require('./audit-log');
+const CredentialStore = require('./credential-store');
+const sessionManifest = require('./session-manifest');
+const { readCsvFile, writeCsvFile, updateCsvRows, appendCsvRow, ensureCsvColumns, repairCsvFile } = require('./csv');
 
 let mainWindow;
-let watcher;
-let watchFolder = '';
+
+// headshot_sessions.csv columns (processing_* and output path columns are filled in by
+// HeadshotProcessor, which adds format_<id>_path columns for user-defined output formats)
+const SESSIONS_CSV_COLUMNS = [
+  'shoot_number', 'timestamp', 'first_name', 'last_name', 'email', 'mobile', 'company',
+  'original_filename', 'new_filename', 'original_path', 'new_path',
+  'processing_status', 'enhanced_jpeg_path', 'enhanced_png_path',
+  'enhanced_square_jpg_path', 'enhanced_square_png_path', 'processing_timestamp', 'processing_error'
+];
+let tetherProfileId = tetherSources.DEFAULT_PROFILE_ID;
 let outputFolder = '';
 let sessionsFile = '';
 let contactsFile = '';
 let processor = null;
 
+// Camera stations - each has its own watch folder, watcher and (in the renderer) active session
+let stations = [];
+const watchers = new Map(); // stationId -> chokidar watcher
+const watcherRecoveryTimers = new Map(); // stationId -> pending restart after a watcher error
+
+// Which watch-folder files have already been copied into sessions (for catch-up scans)
+let captureLedger = null;
+
+// RAW captures that arrived with no active session, waiting to be attached to someone
+let captureInbox = null;
+
+// Active session per station and today's recent sessions (persisted across restarts)
+let sessionStore = null;
+
+// Events - each has its own output folder, CSVs, enhancement preset, gallery and shoot counter
+let eventStore = null;
+
+// This laptop's station ID for {station} in shoot number templates (kept per machine, not per event)
+let shootStationCode = '';
+
+// Shared shoot counter and combined CSVs across stations (host service or shared folder)
+let stationSync = null;
+
+// contacts.csv columns (attendee_id links the session to the imported attendee list, consent_*
+// record what the person agreed to). The event's custom registration fields are added after these
+const CONTACTS_CSV_COLUMNS = [
+  'shoot_number', 'first_name', 'last_name', 'email', 'mobile', 'company', 'attendee_id',
+  ...consent.CSV_COLUMNS
+];
+
+// Active event's imported pre-registration list, for kiosk lookup and reconciliation
+let attendeeList = null;
+
+// Personal data purges, right-to-erasure requests and per-event retention policies
+let dataPurge = null;
+const RETENTION_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Append-only record of what happened to attendee data, for client security reviews
+let auditLog = null;
+
+// Store for the Replicate API key, gallery login and sync key (kept out of settings.json)
+let credentialStore = null;
+
 // Gallery integration
 let galleryClient = null;
 let selectedGalleryId = null;
 let selectedGalleryName = null;
 
-// AI Processing settings
-let aiSettings = {
-  replicateApiKey: '',
-  processingEnabled: true,
-  autoProcessOnCapture: true,
-  // Output format options
-  outputPortrait: true,      // 4:5 aspect ratio
-  outputSquare: true,        // 1:1 aspect ratio
+// Per-event enhancement preset for a new event (or one saved before a setting existed)
+const DEFAULT_ENHANCEMENT = {
+  // Output formats (4:5 portrait and square unless the event defines its own)
+  outputFormats: outputFormats.DEFAULT_FORMATS,
+  // Framing profile (see framing.js) - eyes on the same line and heads the same size
+  framingProfile: framing.DEFAULT_PROFILE,
   // Enhancement options (off, low, medium, high)
   faceEnhancement: 'medium',
   skinSmoothing: 'off',
@@ -36,7 +103,18 @@ let aiSettings = {
   upscaling: 'off',
   // Background options
   backgroundRemoval: true,
-  backgroundColor: ''        // Empty = transparent, or hex like '#FFFFFF'
+  backgroundColor: '',       // Empty = transparent, or hex like '#FFFFFF'
+  // Passport / ID photo compliance (off, or a rule set in id-photo.js)
+  idPhotoRules: 'off',
+  idPhotoPrintSheet: true
+};
+
+// AI Processing settings
+let aiSettings = {
+  replicateApiKey: '',
+  processingEnabled: true,
+  autoProcessOnCapture: true,
+  ...DEFAULT_ENHANCEMENT
 };
 
 // Gallery settings
@@ -51,58 +129,800 @@ let gallerySettings = {
   lastGalleryName: null
 };
 
-// Generate unique shoot number in format YYYYMMDD-NNN
-function generateShootNumber() {
-  const today = new Date();
-  const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
+// Active event's shoot number template, prefix, padding and start number
+function getNumberingScheme() {
+  return shootNumbers.normalizeScheme(eventStore.getActive().numbering || shootNumbers.DEFAULT_SCHEME);
+}
+
+// Active event's registration form fields and phone country code
+function getRegistrationSchema() {
+  return registrationSchema.normalizeSchema(eventStore.getActive().registration);
+}
 
-  const counterPath = path.join(app.getPath('userData'), 'shoot_counter.json');
-  let counter = { date: dateStr, count: 0 };
+// Active event's consent step (terms, uses and signature)
+function getConsentSettings() {
+  return consent.normalizeConsent(eventStore.getActive().consent);
+}
 
-  // Read existing counter
-  if (fs.existsSync(counterPath)) {
-    try {
-      counter = JSON.parse(fs.readFileSync(counterPath, 'utf-8'));
-      // Reset counter if it's a new day
-      if (counter.date !== dateStr) {
-        counter = { date: dateStr, count: 0 };
+// Consent settings of the event whose output folder holds a file (the active event if none does)
+function getConsentSettingsFor(filePath) {
+  const inside = (folder) => {
+    const rel = folder ? path.relative(folder, filePath) : '..';
+    return !rel.startsWith('..') && !path.isAbsolute(rel);
+  };
+  if (inside(outputFolder)) return getConsentSettings();
+  const owner = eventStore.list().find(evt => evt.id !== eventStore.activeEventId && inside(evt.outputFolder));
+  return owner ? consent.normalizeConsent(owner.consent) : getConsentSettings();
+}
+
+// contacts.csv header for the active event: the fixed columns plus one per custom field
+function getContactsColumns() {
+  const custom = registrationSchema.customFields(getRegistrationSchema()).map(f => f.column);
+  return [...CONTACTS_CSV_COLUMNS, ...custom.filter(column => !CONTACTS_CSV_COLUMNS.includes(column))];
+}
+
+// Custom field values of a contacts.csv row, keyed by column
+function readExtraFields(row) {
+  const extra = {};
+  for (const field of registrationSchema.customFields(getRegistrationSchema())) {
+    if (row[field.column]) extra[field.column] = row[field.column];
+  }
+  return extra;
+}
+
+// Generate unique shoot number from the active event's template (YYYYMMDD-NNN by default)
+// With station sync on, the sequence comes from the counter shared by every station
+async function generateShootNumber() {
+  const scheme = getNumberingScheme();
+  const context = { date: new Date(), stationCode: shootStationCode };
+  const key = shootNumbers.counterKey(scheme, context);
+
+  // Skip numbers already in use (the counter was reset, or the template changed back)
+  let shootNumber;
+  do {
+    const seq = stationSync.isEnabled()
+      ? await stationSync.nextSequence(key, scheme.startAt)
+      : eventStore.nextSequence(key, scheme.startAt);
+    shootNumber = shootNumbers.formatShootNumber(scheme, { ...context, seq });
+  } while (findSessionFolder(shootNumber) || findContact(shootNumber));
+  return shootNumber;
+}
+
+// Enhancement preset passed to the processor (and stored per event)
+function getEnhancementOptions() {
+  return {
+    outputFormats: aiSettings.outputFormats,
+    framingProfile: aiSettings.framingProfile,
+    faceEnhancement: aiSettings.faceEnhancement,
+    skinSmoothing: aiSettings.skinSmoothing,
+    shineRemoval: aiSettings.shineRemoval,
+    upscaling: aiSettings.upscaling,
+    backgroundRemoval: aiSettings.backgroundRemoval,
+    backgroundColor: aiSettings.backgroundColor,
+    idPhotoRules: aiSettings.idPhotoRules,
+    idPhotoPrintSheet: aiSettings.idPhotoPrintSheet
+  };
+}
+
+// The per-event part of the working settings
+function getEventSnapshot() {
+  return {
+    outputFolder,
+    sessionsFile,
+    contactsFile,
+    enhancement: getEnhancementOptions(),
+    gallery: {
+      galleryId: selectedGalleryId,
+      galleryName: selectedGalleryName,
+      autoUpload: gallerySettings.autoUpload,
+      uploadPortrait: gallerySettings.uploadPortrait,
+      uploadSquare: gallerySettings.uploadSquare,
+      uploadTransparent: gallerySettings.uploadTransparent
+    }
+  };
+}
+
+// Migrate a CSV from an older version (missing columns, unquoted or formula fields)
+// The original is kept alongside as a backup whenever it's rewritten
+function repairOutputCsv(filePath, columns) {
+  try {
+    const result = repairCsvFile(filePath, columns);
+    if (!result.repaired) return;
+    console.log(`Repaired ${filePath} (backup: ${result.backupPath})`);
+    if (result.overflowed > 0) {
+      console.warn(`${result.overflowed} row(s) in ${filePath} had extra fields - kept in the _unparsed column`);
+    }
+  } catch (err) {
+    console.error(`Error repairing ${filePath}:`, err.message);
+  }
+}
+
+// Create the sessions and contacts CSVs in the output folder if they don't exist yet
+function initOutputFiles() {
+  if (!outputFolder || !fs.existsSync(outputFolder)) {
+    return;
+  }
+  if (!sessionsFile) {
+    sessionsFile = path.join(outputFolder, 'headshot_sessions.csv');
+  }
+  if (!contactsFile) {
+    contactsFile = path.join(outputFolder, 'contacts.csv');
+  }
+
+  // Create headshot_sessions.csv if it doesn't exist (with new processing columns)
+  if (!fs.existsSync(sessionsFile)) {
+    writeCsvFile(sessionsFile, SESSIONS_CSV_COLUMNS, []);
+  }
+  // Create contacts.csv if it doesn't exist, or repair one from an older version
+  if (!fs.existsSync(contactsFile)) {
+    writeCsvFile(contactsFile, getContactsColumns(), []);
+  } else {
+    repairOutputCsv(contactsFile, getContactsColumns());
+  }
+}
+
+/**
+ * Swap the working settings over to an event and restart everything tied to its output folder
+ * The API key, processing toggles and gallery login stay global
+ */
+function applyEvent(evt) {
+  outputFolder = evt.outputFolder || '';
+  sessionsFile = evt.sessionsFile || '';
+  contactsFile = evt.contactsFile || '';
+  initOutputFiles();
+
+  // Settings the event's preset doesn't have go back to the defaults, not the last event's
+  const enhancement = evt.enhancement || {};
+  Object.assign(aiSettings, DEFAULT_ENHANCEMENT, enhancement);
+  // Presets saved before output formats were configurable only have the portrait/square toggles
+  if (!enhancement.outputFormats && enhancement.outputPortrait !== undefined) {
+    aiSettings.outputFormats = outputFormats.fromOptions(enhancement);
+  }
+  // Presets saved before framing profiles existed keep the legacy per-format framing
+  aiSettings.framingProfile = framing.resolveProfileId(enhancement.framingProfile);
+  processor.setEnhancementOptions(getEnhancementOptions());
+
+  const gallery = evt.gallery || {};
+  selectedGalleryId = gallery.galleryId || null;
+  selectedGalleryName = gallery.galleryName || null;
+  gallerySettings.lastGalleryId = selectedGalleryId;
+  gallerySettings.lastGalleryName = selectedGalleryName;
+  for (const key of ['autoUpload', 'uploadPortrait', 'uploadSquare', 'uploadTransparent']) {
+    if (gallery[key] !== undefined) gallerySettings[key] = gallery[key];
+  }
+
+  initSessionsFile();
+  initCaptureLedger();
+  initAttendeeList();
+  restoreSessions();
+  // Watchers exclude the output folder when it is nested inside a watch folder
+  startAllWatchers();
+}
+
+// Event whose folders a request refers to (the active one when no id is given)
+function resolveEvent(eventId) {
+  return eventId ? eventStore.get(eventId) : eventStore.getActive();
+}
+
+// Currently selected tether source profile (LUMIX Tether, EOS Utility, etc.)
+function getTetherProfile() {
+  return tetherSources.getProfile(tetherProfileId);
+}
+
+// A station can override the default tether profile (e.g. Canon on camera A, Sony on camera B)
+function getStationProfile(station) {
+  return tetherSources.getProfile(station.tetherProfile || tetherProfileId);
+}
+
+// Camera JPEG paired with an original in a watch folder, using that station's profile
+function findOriginalJpeg(originalPath) {
+  const station = stations.find(s => {
+    const rel = s.watchFolder ? path.relative(s.watchFolder, originalPath) : '..';
+    return !rel.startsWith('..') && !path.isAbsolute(rel);
+  });
+  return tetherSources.findPairedJpeg(station ? getStationProfile(station) : getTetherProfile(), originalPath);
+}
+
+function getStation(stationId) {
+  return stations.find(s => s.id === stationId);
+}
+
+// Next free station ID: A, B, C...
+function nextStationId() {
+  for (let i = 0; i < 26; i++) {
+    const id = String.fromCharCode(65 + i);
+    if (!getStation(id)) return id;
+  }
+  return `S${Date.now()}`;
+}
+
+function createStation(name, folder = '') {
+  const id = nextStationId();
+  return { id, name: name || `Camera ${id}`, watchFolder: folder, tetherProfile: '' };
+}
+
+// The ledger is shared by every event; an event's past imports are merged in when it's first opened
+function initCaptureLedger() {
+  if (outputFolder && fs.existsSync(outputFolder)) {
+    captureLedger.seedFromEvent(outputFolder, sessionsFile);
+  }
+}
+
+function initAttendeeList() {
+  attendeeList = outputFolder && fs.existsSync(outputFolder)
+    ? new AttendeeList(outputFolder)
+    : null;
+}
+
+/**
+ * Add an entry to the audit log, tagged with the active event (or evt for past events)
+ * @param {object} entry - { shootNumber, stationId, details, evt }
+ */
+function audit(action, { shootNumber, stationId, details, evt } = {}) {
+  if (!auditLog) return;
+  const target = evt || (eventStore && eventStore.getActive()) || {};
+  auditLog.record(action, { eventId: target.id, eventName: target.name, shootNumber, stationId, details });
+}
+
+/**
+ * Make sure the gallery client has a current access token: use the refresh token when the
+ * server issued one, otherwise log in again with the stored password
+ */
+async function ensureGalleryAuth() {
+  if (galleryClient.isAuthenticated()) {
+    return { success: true };
+  }
+
+  let result = { success: false, error: 'Gallery session expired - log in again' };
+  if (galleryClient.refreshToken) {
+    result = await galleryClient.refresh();
+  }
+  if (!result.success && gallerySettings.username && gallerySettings.password) {
+    result = await galleryClient.login(gallerySettings.username, gallerySettings.password);
+  }
+  saveCredentials();
+  return result;
+}
+
+// Settings changes go in the audit log with what was set (never passwords or API keys)
+function auditSettings(setting, values) {
+  audit('settings.change', { details: { setting, ...values } });
+}
+
+// Which file went to which gallery, and whether it got there
+function auditUpload(shootNumber, filePath, galleryId, result, { evt, auto }) {
+  audit('gallery.upload', {
+    evt,
+    shootNumber,
+    details: {
+      file: AuditLog.redactFileName(filePath, shootNumber),
+      galleryId,
+      photoId: result.photoId || null,
+      success: !!result.success,
+      error: result.error || undefined,
+      auto
+    }
+  });
+}
+
+// Remove one photo from the gallery while purging a person's data
+async function deleteGalleryPhoto(galleryId, photoId) {
+  if (!galleryClient) {
+    return { success: false, error: 'Gallery not configured' };
+  }
+  const loginResult = await ensureGalleryAuth();
+  if (!loginResult.success) {
+    return { success: false, error: loginResult.error };
+  }
+  return galleryClient.deletePhoto(galleryId, photoId);
+}
+
+// Reload what a purge may have changed under the active event and tell the renderer
+function afterPurge(report) {
+  for (const summary of report.events) {
+    audit('data.purge', {
+      evt: { id: summary.eventId, name: summary.eventName },
+      details: {
+        reason: report.reason,
+        mode: report.mode,
+        scope: report.scope,
+        report: report.id,
+        sessions: summary.shootNumbers.length,
+        shootNumbers: report.scope === 'person' ? summary.shootNumbers : undefined,
+        galleryPhotosDeleted: summary.galleryPhotos.deleted
       }
-    } catch (e) {
-      console.log('Error reading counter:', e);
-      counter = { date: dateStr, count: 0 };
+    });
+  }
+  if (report.events.some(summary => summary.eventId === eventStore.activeEventId)) {
+    initAttendeeList();
+  }
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('data-purged', report);
+  }
+  console.log(`Purge (${report.reason}) written to ${report.reportPath}`);
+  return report;
+}
+
+// Purge every event whose retention period has run out
+async function applyRetentionPolicies() {
+  for (const evt of eventStore.list()) {
+    if (!dataPurge.isRetentionDue(evt)) continue;
+
+    const { mode } = DataPurge.normalizeRetention(evt.retention);
+    try {
+      const report = await dataPurge.purgeEvent(evt, { mode, reason: 'retention' });
+      eventStore.update(evt.id, { purgedAt: report.createdAt });
+      afterPurge(report);
+    } catch (error) {
+      console.error(`Retention purge skipped for ${evt.name}:`, error.message);
+    }
+  }
+}
+
+// Folders the watcher and catch-up scan must skip (our own output if nested in the watch folder)
+function getExcludedFolders(watchFolder) {
+  const outputRel = outputFolder ? path.relative(watchFolder, outputFolder) : '';
+  return outputRel && !outputRel.startsWith('..') && !path.isAbsolute(outputRel) ? [outputFolder] : [];
+}
+
+/**
+ * Compare every station's watch folder against the capture ledger and move
+ * RAW files that were never saved to a session (shot during a crash, restart or sleep)
+ * into the unassigned inbox
+ */
+async function runCatchUpScan(reason) {
+  if (!captureLedger || !captureInbox || !outputFolder) {
+    return [];
+  }
+
+  const captures = [];
+  for (const station of stations) {
+    if (!station.watchFolder || !fs.existsSync(station.watchFolder)) continue;
+
+    const profile = getStationProfile(station);
+    const found = tetherSources.listCaptures(profile, station.watchFolder, getExcludedFolders(station.watchFolder));
+
+    for (const filePath of captureLedger.findUnassigned(found)) {
+      if (captureInbox.has(filePath)) continue;
+      captures.push({
+        stationId: station.id,
+        stationName: station.name,
+        sourcePath: filePath,
+        previewPath: tetherSources.findPairedJpeg(profile, filePath),
+        capturedAt: fs.statSync(filePath).mtime.toISOString(),
+        reason
+      });
     }
   }
 
-  // Increment counter
-  counter.count++;
+  captures.sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+  console.log(`Catch-up scan (${reason}): ${captures.length} new unassigned capture(s)`);
 
-  // Save updated counter
-  fs.writeFileSync(counterPath, JSON.stringify(counter));
+  const added = [];
+  for (const capture of captures) {
+    const item = await captureInbox.add(capture);
+    if (item) added.push(item);
+  }
+  return added;
+}
 
-  // Format: YYYYMMDD-NNN
-  const shootNumber = `${dateStr}-${String(counter.count).padStart(3, '0')}`;
-  return shootNumber;
+// Find an existing person folder for a shoot number (e.g. 20260120-004_Smith_John)
+function findSessionFolder(shootNumber) {
+  if (!shootNumber || !outputFolder || !fs.existsSync(outputFolder)) {
+    return null;
+  }
+  const match = fs.readdirSync(outputFolder, { withFileTypes: true })
+    .find(dirent => dirent.isDirectory() && dirent.name.startsWith(`${shootNumber}_`));
+  return match ? path.join(outputFolder, match.name) : null;
+}
+
+// Look up a registered person in contacts.csv by shoot number
+function findContact(shootNumber) {
+  const { rows } = readCsvFile(contactsFile);
+  const row = rows.find(r => r.shoot_number === shootNumber);
+  if (!row) return null;
+  return {
+    shootNumber,
+    firstName: row.first_name,
+    lastName: row.last_name,
+    email: row.email,
+    mobile: row.mobile,
+    company: row.company,
+    attendeeId: row.attendee_id || null,
+    extra: readExtraFields(row),
+    consent: consent.fromCsvRow(row)
+  };
+}
+
+// Count RAW photos already saved in a session folder
+function countSessionPhotos(folder) {
+  if (!folder || !fs.existsSync(folder)) return 0;
+  return fs.readdirSync(folder)
+    .filter(f => tetherSources.RAW_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+    .length;
+}
+
+// Shoot number of a session folder (20260120-004_Smith_John -> 20260120-004)
+function shootNumberFromFolder(folder) {
+  const parsed = shootNumbers.parseFolderName(path.basename(folder));
+  return parsed ? parsed.shootNumber : null;
+}
+
+// Whether a session folder was started today (UTC date, like shoot numbers)
+function isStartedToday(folder) {
+  const today = shootNumbers.formatDate();
+  const manifest = sessionManifest.readManifest(folder);
+  if (manifest && manifest.createdAt) {
+    return shootNumbers.formatDate(new Date(manifest.createdAt)) === today;
+  }
+  // Folders from before session.json always start with the YYYYMMDD-NNN shoot number
+  return path.basename(folder).startsWith(`${today}-`);
+}
+
+/**
+ * Everything needed to resume a past session: registration details and its existing folder
+ * Details come from contacts.csv, falling back to the sessions CSV for older shoots
+ */
+function getSessionSummary(shootNumber) {
+  let person = findContact(shootNumber);
+  if (!person) {
+    const row = readCsvFile(sessionsFile).rows.find(r => r.shoot_number === shootNumber);
+    if (row) {
+      person = {
+        shootNumber,
+        firstName: row.first_name,
+        lastName: row.last_name,
+        email: row.email,
+        mobile: row.mobile,
+        company: row.company
+      };
+    }
+  }
+  if (!person) return null;
+
+  const folder = findSessionFolder(shootNumber);
+  return { ...person, folder: folder || '', photoCount: countSessionPhotos(folder) };
+}
+
+// Rebuild today's sessions from the session folders in the output folder
+function getTodaysSessions() {
+  if (!outputFolder || !fs.existsSync(outputFolder)) {
+    return [];
+  }
+  return fs.readdirSync(outputFolder, { withFileTypes: true })
+    .filter(dirent => dirent.isDirectory() && isStartedToday(path.join(outputFolder, dirent.name)))
+    .map(dirent => shootNumberFromFolder(dirent.name))
+    .filter(Boolean)
+    .map(getSessionSummary)
+    .filter(summary => summary && summary.photoCount > 0);
+}
+
+function restoreSessions() {
+  if (sessionStore) {
+    sessionStore.restore(stations.map(s => s.id), getTodaysSessions(), countSessionPhotos);
+  }
+}
+
+// Find or create the person folder for a session (reusing it if the shoot already has one)
+function resolvePersonFolder(shootNumber, firstName, lastName) {
+  const existingFolder = findSessionFolder(shootNumber);
+  const safeName = existingFolder
+    ? path.basename(existingFolder).slice(shootNumber.length + 1)
+    : `${lastName}_${firstName}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+  const personFolder = existingFolder || path.join(outputFolder, `${shootNumber}_${safeName}`);
+  if (!fs.existsSync(personFolder)) {
+    fs.mkdirSync(personFolder, { recursive: true });
+  }
+  return { personFolder, safeName };
+}
+
+// Next free photo name in a person folder, e.g. 20260120-004_Smith_John_03
+function nextPhotoBaseName(personFolder, shootNumber, safeName) {
+  // Count existing files to generate photo number (only count RAW files to avoid double-counting)
+  const existingFiles = fs.readdirSync(personFolder).filter(f => {
+    const fileExt = path.extname(f).toLowerCase();
+    return f.startsWith(shootNumber) && tetherSources.RAW_EXTENSIONS.includes(fileExt);
+  });
+
+  // Skip numbers already taken, in case an earlier photo was moved out and left a gap
+  let count = existingFiles.length + 1;
+  let baseName;
+  do {
+    baseName = `${shootNumber}_${safeName}_${String(count).padStart(2, '0')}`;
+    count++;
+  } while (existingFiles.some(f => path.basename(f, path.extname(f)) === baseName));
+  return baseName;
 }
 
-// Try to launch LUMIX Tether on startup
-function launchLumixTether() {
-  const possiblePaths = [
-    '/Applications/LUMIX Tether.app',
-    '/Applications/Panasonic/LUMIX Tether.app',
-    `${process.env.HOME}/Applications/LUMIX Tether.app`
-  ];
-  
-  for (const appPath of possiblePaths) {
-    if (fs.existsSync(appPath)) {
-      exec(`open "${appPath}"`, (err) => {
-        if (err) console.log('Could not launch LUMIX Tether:', err);
-        else console.log('LUMIX Tether launched');
+/**
+ * Copy a tethered capture into a person's session folder: rename it, copy the paired
+ * JPEG, append to the sessions CSV, record it in the ledger and queue it for AI processing
+ * Shared by live captures (save-session) and captures attached from the unassigned inbox
+ */
+function importCapture(data) {
+  const { firstName, lastName, email, mobile, company, attendeeId, extra, consent: consentRecord, shootNumber, originalFile, stationId } = data;
+  const station = getStation(stationId);
+
+  if (!outputFolder || !fs.existsSync(outputFolder)) {
+    return { success: false, error: 'Output folder not set' };
+  }
+  if (!fs.existsSync(originalFile)) {
+    return { success: false, error: `${path.basename(originalFile)} no longer exists` };
+  }
+
+  const { personFolder, safeName } = resolvePersonFolder(shootNumber, firstName, lastName);
+
+  // Generate new filename with shoot number prefix and photo counter
+  const ext = path.extname(originalFile);
+  const baseName = nextPhotoBaseName(personFolder, shootNumber, safeName);
+  const newFileName = `${baseName}${ext}`;
+  const newFilePath = path.join(personFolder, newFileName);
+
+  // Copy file to new location
+  const copied = [];
+  try {
+    fs.copyFileSync(originalFile, newFilePath);
+    copied.push(newFilePath);
+
+    // If this is a RAW file, also copy the paired JPEG if the tether app produced one (needed for AI processing)
+    let jpegDest = null;
+    if (tetherSources.RAW_EXTENSIONS.includes(ext.toLowerCase())) {
+      const profile = station ? getStationProfile(station) : getTetherProfile();
+      const jpegSource = tetherSources.findPairedJpeg(profile, originalFile);
+      if (jpegSource) {
+        jpegDest = path.join(personFolder, `${baseName}.jpg`);
+        fs.copyFileSync(jpegSource, jpegDest);
+        copied.push(jpegDest);
+        console.log('Copied JPEG for AI processing:', jpegDest);
+      }
+    }
+
+    // Append to CSV (includes shoot_number, mobile, and processing status) before the capture is
+    // marked imported anywhere - if the file is locked the copies are removed and the frame can
+    // be saved again or picked up by the catch-up scan
+    const queued = !!(aiSettings.autoProcessOnCapture && processor);
+    const sessionRow = {
+      shoot_number: shootNumber,
+      timestamp: new Date().toISOString(),
+      first_name: firstName,
+      last_name: lastName,
+      email,
+      mobile: mobile || '',
+      company: company || '',
+      original_filename: path.basename(originalFile),
+      new_filename: newFileName,
+      original_path: originalFile,
+      new_path: newFilePath,
+      processing_status: queued ? 'pending' : 'not-queued'
+    };
+    appendCsvRow(sessionsFile, sessionRow);
+    copied.length = 0;
+    stationSync.appendRow('sessions', sessionRow, SESSIONS_CSV_COLUMNS);
+
+    if (captureLedger) {
+      captureLedger.recordImport(originalFile, { shootNumber, newPath: newFilePath });
+    }
+
+    // Record the registrant and capture in the folder's session.json
+    sessionManifest.setRegistrant(personFolder, {
+      shootNumber, firstName, lastName, email, mobile, company, attendeeId, extra, consent: consentRecord
+    });
+    sessionManifest.recordCapture(personFolder, shootNumber, {
+      baseName,
+      fileName: newFileName,
+      jpegFileName: jpegDest ? path.basename(jpegDest) : null,
+      originalPath: originalFile,
+      stationId,
+      queued
+    });
+
+    // Add to AI processing queue if enabled
+    if (queued) {
+      processor.addToQueue({
+        sourcePath: newFilePath,
+        outputFolder: personFolder,
+        shootNumber: shootNumber,
+        baseName: baseName,
+        eventId: eventStore.activeEventId
       });
-      return true;
     }
+
+    if (sessionStore) {
+      sessionStore.adjustPhotoCount(shootNumber, 1, personFolder);
+    }
+    audit('capture.saved', {
+      shootNumber,
+      stationId,
+      details: { file: AuditLog.redactFileName(newFileName, shootNumber), original: path.basename(originalFile), queued }
+    });
+
+    return { success: true, newPath: newFilePath, personFolder };
+  } catch (err) {
+    // Copies without a sessions row would never be offered again
+    for (const file of copied) {
+      try { fs.unlinkSync(file); } catch (e) { /* ignore */ }
+    }
+    return { success: false, error: err.message };
+  }
+}
+
+// Fill in a person's details from contacts.csv when only a shoot number is known (past sessions)
+function resolvePerson(person) {
+  if (!person || !person.shootNumber) return null;
+  return person.firstName ? person : findContact(person.shootNumber);
+}
+
+// A capture in a session folder plus its paired JPEG (same base name, any extension)
+function findCaptureFiles(capturePath) {
+  const folder = path.dirname(capturePath);
+  const baseName = path.basename(capturePath, path.extname(capturePath));
+  return fs.readdirSync(folder)
+    .filter(f => path.basename(f, path.extname(f)) === baseName)
+    .map(f => path.join(folder, f))
+    .filter(f => fs.statSync(f).isFile());
+}
+
+function isSamePath(a, b) {
+  return !!a && !!b && path.resolve(a) === path.resolve(b);
+}
+
+// Move/delete only ever touch photos already organized into the output folder
+function isInOutputFolder(filePath) {
+  if (!outputFolder) return false;
+  const rel = path.relative(outputFolder, filePath);
+  return !!rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+/**
+ * Move a capture that landed in the wrong session (e.g. End Session was forgotten)
+ * Renames the RAW/JPEG pair into the target folder with the next photo number,
+ * rewrites its sessions CSV row, retargets queued processing and drops stale outputs
+ */
+function moveCapture(filePath, person) {
+  if (!outputFolder || !fs.existsSync(outputFolder)) {
+    return { success: false, error: 'Output folder not set' };
+  }
+  if (!isInOutputFolder(filePath) || !fs.existsSync(filePath)) {
+    return { success: false, error: `${path.basename(filePath)} is not in a session folder` };
+  }
+
+  const { shootNumber, firstName, lastName, email, mobile, company } = person;
+  const fromFolder = path.dirname(filePath);
+  const oldBaseName = path.basename(filePath, path.extname(filePath));
+  if (isSamePath(findSessionFolder(shootNumber), fromFolder)) {
+    return { success: false, error: 'Photo is already in that session' };
+  }
+
+  try {
+    const { personFolder, safeName } = resolvePersonFolder(shootNumber, firstName, lastName);
+    const baseName = nextPhotoBaseName(personFolder, shootNumber, safeName);
+    const newFilePath = path.join(personFolder, `${baseName}${path.extname(filePath)}`);
+    const target = { sourcePath: newFilePath, outputFolder: personFolder, shootNumber, baseName };
+
+    // Waiting queue items follow the file; one mid-processing is cancelled and re-queued below
+    const retargeted = processor ? processor.retargetSource(filePath, target) : 0;
+    const { inFlight } = processor ? processor.cancelSource(filePath) : { inFlight: false };
+    const removedOutputs = processor ? processor.removeOutputs(fromFolder, oldBaseName) : [];
+
+    let jpegFileName = null;
+    for (const file of findCaptureFiles(filePath)) {
+      const movedName = `${baseName}${path.extname(file)}`;
+      fs.renameSync(file, path.join(personFolder, movedName));
+      if (tetherSources.isJpegFile(movedName)) jpegFileName = movedName;
+    }
+
+    // Outputs named after the wrong person were deleted - regenerate them under the right one
+    const requeue = !!processor && retargeted === 0 && (inFlight || removedOutputs.length > 0);
+    const queued = retargeted > 0 || requeue;
+
+    sessionManifest.setRegistrant(personFolder, person);
+    sessionManifest.moveCapture(fromFolder, oldBaseName, personFolder, shootNumber, {
+      baseName,
+      fileName: path.basename(newFilePath),
+      jpegFileName,
+      queued
+    });
+
+    if (requeue) {
+      processor.addToQueue({ ...target, eventId: eventStore.activeEventId });
+    }
+
+    const rowValues = {
+      shoot_number: shootNumber,
+      first_name: firstName,
+      last_name: lastName,
+      email,
+      mobile: mobile || '',
+      company: company || '',
+      new_filename: path.basename(newFilePath),
+      new_path: newFilePath,
+      // Nothing waiting for it (e.g. no processor) - flag it rather than leave it looking queued
+      processing_status: queued ? 'pending' : 'needs-reprocessing',
+      ...outputFormats.csvValues(aiSettings.outputFormats),
+      processing_timestamp: '',
+      processing_error: ''
+    };
+    // Also blank paths from formats the event no longer has - those files were removed too
+    const clearOutputs = (row) => {
+      const cleared = { ...row };
+      Object.keys(cleared).filter(outputFormats.isOutputColumn).forEach(column => { cleared[column] = ''; });
+      return cleared;
+    };
+    updateCsvRows(sessionsFile, row => isSamePath(row.new_path, filePath), row => ({ ...clearOutputs(row), ...rowValues }));
+    // Shared rows are matched on file name - paths differ between stations
+    stationSync.updateRows('sessions', 'new_filename', path.basename(filePath), rowValues);
+
+    if (captureLedger) {
+      captureLedger.updateImport(filePath, 'imported', { shootNumber, newPath: newFilePath });
+    }
+
+    if (sessionStore) {
+      sessionStore.adjustPhotoCount(shootNumberFromFolder(fromFolder), -1);
+      sessionStore.adjustPhotoCount(shootNumber, 1, personFolder);
+    }
+
+    console.log(`Moved ${path.basename(filePath)} -> ${path.basename(newFilePath)}`);
+    return { success: true, newPath: newFilePath, personFolder, fromFolder };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Delete a capture from its session: the RAW/JPEG pair, its CSV row, queued work and outputs
+ * The original stays in the watch folder and is marked in the ledger so scans don't re-flag it
+ */
+function deleteCapture(filePath) {
+  if (!isInOutputFolder(filePath) || !fs.existsSync(filePath)) {
+    return { success: false, error: `${path.basename(filePath)} is not in a session folder` };
+  }
+
+  const folder = path.dirname(filePath);
+  const baseName = path.basename(filePath, path.extname(filePath));
+
+  try {
+    if (processor) {
+      processor.cancelSource(filePath);
+      processor.removeOutputs(folder, baseName);
+    }
+
+    for (const file of findCaptureFiles(filePath)) {
+      fs.unlinkSync(file);
+    }
+
+    updateCsvRows(sessionsFile, row => isSamePath(row.new_path, filePath), () => null);
+    stationSync.updateRows('sessions', 'new_filename', path.basename(filePath), null);
+    sessionManifest.removeCapture(folder, baseName);
+
+    if (captureLedger) {
+      captureLedger.updateImport(filePath, 'deleted', { newPath: null });
+    }
+
+    if (sessionStore) {
+      sessionStore.adjustPhotoCount(shootNumberFromFolder(folder), -1);
+    }
+
+    console.log(`Deleted ${path.basename(filePath)}`);
+    return { success: true, folder };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// Upgrade older sessions CSVs with new columns and let the processor write results into it
+function initSessionsFile() {
+  if (sessionsFile && fs.existsSync(sessionsFile)) {
+    repairOutputCsv(sessionsFile, SESSIONS_CSV_COLUMNS);
+  }
+  if (processor) {
+    processor.setSessionsFile(sessionsFile);
+  }
+}
+
+function updateProcessorWatchFolders() {
+  if (processor) {
+    processor.setWatchFolders(stations.map(s => s.watchFolder));
   }
-  console.log('LUMIX Tether not found');
-  return false;
 }
 
 // Auto-updater setup
@@ -187,23 +1007,83 @@ ipcMain.handle('get-app-version', () => {
 });
 
 // Start a new session - generate shoot number and write to contacts.csv
+// Without a stationId the session goes straight to Recent Sessions (e.g. created from inbox captures)
+// Field values are keyed as in the event's registration schema (firstName, email, job_title...)
 ipcMain.handle('start-session', async (event, data) => {
-  const { firstName, lastName, email, mobile, company } = data;
+  const { attendeeId, stationId } = data;
 
   if (!outputFolder || !fs.existsSync(outputFolder)) {
     return { success: false, error: 'Output folder not set' };
   }
+  if (stationId && sessionStore.getActive(stationId)) {
+    return { success: false, error: 'Station already has an active session' };
+  }
+
+  const schema = getRegistrationSchema();
+  const { values, errors } = registrationSchema.validateValues(schema, data);
+  if (Object.keys(errors).length > 0) {
+    return { success: false, error: Object.values(errors).join('. '), fieldErrors: errors };
+  }
+  const { firstName, lastName, email, mobile, company } = values;
+  const extra = {};
+  for (const field of registrationSchema.customFields(schema)) {
+    extra[field.column] = values[field.key];
+  }
+
+  const { record: consentRecord, error: consentError } = consent.validateConsent(getConsentSettings(), data.consent);
+  if (consentError) {
+    return { success: false, error: consentError };
+  }
 
   try {
-    const shootNumber = generateShootNumber();
+    const shootNumber = await generateShootNumber();
+    if (consentRecord) {
+      consentRecord.signature = consent.saveSignature(outputFolder, shootNumber, consentRecord.signature);
+    }
+
+    // Write to contacts.csv (and the combined one shared by all stations)
+    const contactRow = {
+      shoot_number: shootNumber,
+      first_name: firstName,
+      last_name: lastName,
+      email,
+      mobile,
+      company,
+      attendee_id: attendeeId || '',
+      ...consent.toCsvValues(consentRecord),
+      ...extra
+    };
+    if (contactsFile) {
+      try {
+        appendCsvRow(contactsFile, contactRow);
+      } catch (err) {
+        // Nothing is recorded for a session without a contacts row - not even the signature
+        if (consentRecord && consentRecord.signature) {
+          try { fs.unlinkSync(path.join(outputFolder, consentRecord.signature)); } catch (e) { /* ignore */ }
+        }
+        throw err;
+      }
+    }
+    stationSync.appendRow('contacts', contactRow, getContactsColumns());
+    if (attendeeId && attendeeList) {
+      attendeeList.linkSession(attendeeId, shootNumber);
+    }
 
-    // Write to contacts.csv
-    if (contactsFile) {
-      const csvLine = `"${shootNumber}","${firstName}","${lastName}","${email}","${mobile || ''}","${company || ''}"\n`;
-      fs.appendFileSync(contactsFile, csvLine);
+    const person = {
+      shootNumber, firstName, lastName, email, mobile, company, attendeeId: attendeeId || null, extra, consent: consentRecord
+    };
+    if (stationId) {
+      sessionStore.start(stationId, person);
+    } else {
+      sessionStore.addRecent(person);
     }
+    audit('session.start', {
+      shootNumber,
+      stationId,
+      details: { attendeeLinked: !!attendeeId, consentVersion: consentRecord ? consentRecord.version : null }
+    });
 
-    return { success: true, shootNumber };
+    return { success: true, shootNumber, person };
   } catch (err) {
     return { success: false, error: err.message };
   }
@@ -226,8 +1106,71 @@ function createWindow() {
 
   mainWindow.loadFile('index.html');
 
+  sessionStore = new SessionStore(app);
+  sessionStore.onChange = (state) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('session-state', state);
+    }
+  };
+
+  captureInbox = new CaptureInbox(app);
+  captureInbox.onChange = (items) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('inbox-updated', items);
+    }
+  };
+
+  // Look for frames shot while the app was closed once the renderer can show them
+  mainWindow.webContents.once('did-finish-load', () => {
+    setTimeout(() => runCatchUpScan('startup'), 1500);
+  });
+
   // Initialize the AI processor
   processor = new HeadshotProcessor(app);
+
+  // Queued items from an event other than the active one keep that event's preset and CSV
+  eventStore = new EventStore(app);
+  captureLedger = new CaptureLedger(app);
+  processor.resolveEventSettings = (eventId) => {
+    const evt = eventId !== eventStore.activeEventId ? eventStore.get(eventId) : null;
+    if (!evt) return null;
+    const enhancementOptions = {
+      ...evt.enhancement,
+      outputFormats: outputFormats.fromOptions(evt.enhancement),
+      framingProfile: framing.resolveProfileId((evt.enhancement || {}).framingProfile)
+    };
+    return { enhancementOptions, sessionsFile: evt.sessionsFile };
+  };
+
+  auditLog = new AuditLog(app);
+
+  dataPurge = new DataPurge(app, {
+    isActive: (shootNumber) => !!sessionStore.findActiveStation(shootNumber),
+    cancelProcessing: (folder) => processor.purgeFolder(folder),
+    forgetSessions: (shootNumbers) => sessionStore.forget(shootNumbers),
+    forgetCaptures: (shootNumbers, folder) => captureLedger.forget(shootNumbers, folder),
+    findOriginalJpeg: findOriginalJpeg,
+    deleteGalleryPhoto: deleteGalleryPhoto,
+    syncRows: (file, shootNumber, values) => stationSync.updateRows(file, 'shoot_number', shootNumber, values)
+  });
+
+  stationSync = new StationSync(app);
+  stationSync.onStatusChange = (status) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('sync-status', status);
+    }
+  };
+  // Processing results go into the combined sessions CSV too
+  processor.onSessionsRowUpdate = (item, values) => {
+    stationSync.updateRows('sessions', 'new_filename', path.basename(item.sourcePath), values);
+  };
+  processor.onProcessingFailed = (item, error) => {
+    audit('processing.failed', {
+      evt: item.eventId ? eventStore.get(item.eventId) : null,
+      shootNumber: item.shootNumber,
+      details: { file: AuditLog.redactFileName(item.sourcePath, item.shootNumber), error }
+    });
+  };
   processor.onStatusUpdate = (status) => {
     if (mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.webContents.send('processing-status', status);
@@ -246,33 +1189,55 @@ function createWindow() {
       mainWindow.webContents.send('processing-item-complete', data);
     }
 
+    // Items reprocessed for a past event upload to that event's gallery
+    const itemEvent = data.item.eventId ? eventStore.get(data.item.eventId) : null;
+    audit('processing.completed', {
+      evt: itemEvent,
+      shootNumber: data.item.shootNumber,
+      details: {
+        file: AuditLog.redactFileName(data.item.sourcePath, data.item.shootNumber),
+        outputs: data.outputFiles.map(f => AuditLog.redactFileName(f, data.item.shootNumber))
+      }
+    });
+    const upload = itemEvent && itemEvent.id !== eventStore.activeEventId
+      ? { ...gallerySettings, ...itemEvent.gallery }
+      : { ...gallerySettings, galleryId: selectedGalleryId };
+    const galleryId = upload.galleryId;
+
+    // People who didn't consent to publication are never uploaded
+    const manifest = sessionManifest.readManifest(data.item.outputFolder);
+    const consentSettings = consent.normalizeConsent((itemEvent || eventStore.getActive()).consent);
+    if (!consent.allowsPublication(manifest && manifest.registrant && manifest.registrant.consent, consentSettings)) {
+      console.log(`[Gallery] Skipping upload for ${data.item.shootNumber} - no consent to publish`);
+      return;
+    }
+
     // Auto-upload to gallery if enabled
-    if (selectedGalleryId && gallerySettings.autoUpload && galleryClient) {
+    if (galleryId && upload.autoUpload && galleryClient) {
       // Ensure we're authenticated
-      if (!galleryClient.isAuthenticated() && gallerySettings.username && gallerySettings.password) {
-        const loginResult = await galleryClient.login(gallerySettings.username, gallerySettings.password);
-        if (!loginResult.success) {
-          console.error('[Gallery] Auto-upload auth failed:', loginResult.error);
-          if (mainWindow && !mainWindow.isDestroyed()) {
-            mainWindow.webContents.send('gallery-upload-result', {
-              success: false,
-              error: `Authentication failed: ${loginResult.error}`
-            });
-          }
-          return;
+      const loginResult = await ensureGalleryAuth();
+      if (!loginResult.success) {
+        console.error('[Gallery] Auto-upload auth failed:', loginResult.error);
+        if (mainWindow && !mainWindow.isDestroyed()) {
+          mainWindow.webContents.send('gallery-upload-result', {
+            success: false,
+            error: `Authentication failed: ${loginResult.error}`
+          });
         }
+        return;
       }
 
-      // Filter files based on upload preferences
+      // Filter files based on upload preferences - the portrait and square toggles cover those
+      // formats' main files, custom formats are always uploaded
+      const formatFiles = data.item.formatOutputs || {};
       const filesToUpload = data.outputFiles.filter(filePath => {
-        const filename = path.basename(filePath);
-        const isPortrait = filename.includes('-4x5.') && !filename.includes('-TP.');
-        const isSquare = filename.includes('-SQR.') && !filename.includes('-TP.');
-        const isTransparent = filename.includes('-TP.');
+        const isTransparent = path.basename(filePath).includes('-TP.');
+        const isPortrait = !!formatFiles.portrait && formatFiles.portrait.main === filePath;
+        const isSquare = !!formatFiles.square && formatFiles.square.main === filePath;
 
-        if (isTransparent && !gallerySettings.uploadTransparent) return false;
-        if (isPortrait && !gallerySettings.uploadPortrait) return false;
-        if (isSquare && !gallerySettings.uploadSquare) return false;
+        if (isTransparent && !upload.uploadTransparent) return false;
+        if (isPortrait && !upload.uploadPortrait) return false;
+        if (isSquare && !upload.uploadSquare) return false;
 
         return true;
       });
@@ -283,7 +1248,9 @@ function createWindow() {
         console.log(`[Gallery] Auto-uploading: ${filename}`);
 
         try {
-          const result = await galleryClient.uploadPhoto(selectedGalleryId, filePath);
+          const result = await galleryClient.uploadPhoto(galleryId, filePath);
+          sessionManifest.recordUpload(filePath, { success: result.success, galleryId, photoId: result.photoId, error: result.error });
+          auditUpload(data.item.shootNumber, filePath, galleryId, result, { evt: itemEvent, auto: true });
 
           if (mainWindow && !mainWindow.isDestroyed()) {
             mainWindow.webContents.send('gallery-upload-result', {
@@ -296,6 +1263,8 @@ function createWindow() {
           // Log is handled by gallery-upload-result handler in renderer
         } catch (err) {
           console.error(`[Gallery] Upload error for ${filename}:`, err);
+          sessionManifest.recordUpload(filePath, { success: false, galleryId, error: err.message });
+          auditUpload(data.item.shootNumber, filePath, galleryId, { success: false, error: err.message }, { evt: itemEvent, auto: true });
           if (mainWindow && !mainWindow.isDestroyed()) {
             mainWindow.webContents.send('gallery-upload-result', {
               filePath,
@@ -309,23 +1278,45 @@ function createWindow() {
     }
   };
 
+  // safeStorage is only usable once the app is ready, which it is by the time the window opens
+  credentialStore = new CredentialStore(app, safeStorage);
+
   // Load saved settings
   const settingsPath = path.join(app.getPath('userData'), 'settings.json');
   if (fs.existsSync(settingsPath)) {
     try {
       const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
-      watchFolder = settings.watchFolder || '';
+      // Older versions stored a single watchFolder - migrate it into the first station
+      if (Array.isArray(settings.stations) && settings.stations.length > 0) {
+        stations = settings.stations;
+      } else {
+        stations = [createStation('', settings.watchFolder || '')];
+      }
+      tetherProfileId = tetherSources.getProfile(settings.tetherProfile).id;
+      shootStationCode = settings.shootStationCode || '';
+      if (settings.stationSync) {
+        stationSync.configure({
+          ...settings.stationSync,
+          accessKey: credentialStore.get('stationSyncKey') || settings.stationSync.accessKey || ''
+        });
+      }
       outputFolder = settings.outputFolder || '';
       sessionsFile = settings.sessionsFile || '';
       contactsFile = settings.contactsFile || '';
 
+      // Secrets saved in plaintext by older versions move into the credential store when
+      // saveSettings() runs below
+      if (settings.replicateApiKey || settings.galleryPassword || (settings.stationSync && settings.stationSync.accessKey)) {
+        console.log('Moving API key, gallery password and sync key out of settings.json into the credential store');
+      }
+
       // Load AI settings
-      aiSettings.replicateApiKey = settings.replicateApiKey || '';
+      aiSettings.replicateApiKey = credentialStore.get('replicateApiKey') || settings.replicateApiKey || '';
       aiSettings.processingEnabled = settings.processingEnabled !== false;
       aiSettings.autoProcessOnCapture = settings.autoProcessOnCapture !== false;
-      // Output format options
-      aiSettings.outputPortrait = settings.outputPortrait !== false;
-      aiSettings.outputSquare = settings.outputSquare !== false;
+      // Output formats (older settings files only have the portrait/square toggles)
+      aiSettings.outputFormats = outputFormats.fromOptions(settings);
+      aiSettings.framingProfile = framing.resolveProfileId(settings.framingProfile);
       // Scalable enhancement options
       aiSettings.faceEnhancement = settings.faceEnhancement || 'medium';
       aiSettings.skinSmoothing = settings.skinSmoothing || 'off';
@@ -333,10 +1324,12 @@ function createWindow() {
       aiSettings.upscaling = settings.upscaling || 'off';
       aiSettings.backgroundRemoval = settings.backgroundRemoval !== false;
       aiSettings.backgroundColor = settings.backgroundColor || '';
+      aiSettings.idPhotoRules = settings.idPhotoRules || 'off';
+      aiSettings.idPhotoPrintSheet = settings.idPhotoPrintSheet !== false;
 
       // Load gallery settings
       gallerySettings.username = settings.galleryUsername || '';
-      gallerySettings.password = settings.galleryPassword || '';
+      gallerySettings.password = credentialStore.get('galleryPassword') || settings.galleryPassword || '';
       gallerySettings.autoUpload = settings.galleryAutoUpload || false;
       gallerySettings.uploadPortrait = settings.uploadPortrait !== false;
       gallerySettings.uploadSquare = settings.uploadSquare !== false;
@@ -348,9 +1341,11 @@ function createWindow() {
       selectedGalleryId = gallerySettings.lastGalleryId;
       selectedGalleryName = gallerySettings.lastGalleryName;
 
-      // Initialize gallery client if credentials exist
-      if (gallerySettings.username && gallerySettings.password) {
+      // Initialize gallery client if credentials exist, picking up the saved session
+      const gallerySession = credentialStore.get('gallerySession');
+      if (gallerySettings.username && (gallerySettings.password || gallerySession)) {
         galleryClient = new TurboIQGalleryClient();
+        galleryClient.setState(gallerySession);
         // Don't await login here - will authenticate on first API call
       }
 
@@ -359,48 +1354,47 @@ function createWindow() {
         processor.setApiKey(aiSettings.replicateApiKey);
       }
       processor.setProcessingEnabled(aiSettings.processingEnabled);
-      processor.setEnhancementOptions({
-        outputPortrait: aiSettings.outputPortrait,
-        outputSquare: aiSettings.outputSquare,
-        faceEnhancement: aiSettings.faceEnhancement,
-        skinSmoothing: aiSettings.skinSmoothing,
-        shineRemoval: aiSettings.shineRemoval,
-        upscaling: aiSettings.upscaling,
-        backgroundRemoval: aiSettings.backgroundRemoval,
-        backgroundColor: aiSettings.backgroundColor
-      });
-      if (watchFolder) {
-        processor.setWatchFolder(watchFolder);
-      }
-
-      // Ensure contacts.csv exists if outputFolder is set (for upgrades from older versions)
-      if (outputFolder && fs.existsSync(outputFolder)) {
-        if (!contactsFile) {
-          contactsFile = path.join(outputFolder, 'contacts.csv');
-          saveSettings();
-        }
-        if (!fs.existsSync(contactsFile)) {
-          fs.writeFileSync(contactsFile, 'shoot_number,first_name,last_name,email,mobile,company\n');
-        }
-      }
-
-      // Start watcher if folder exists
-      if (watchFolder && fs.existsSync(watchFolder)) {
-        startWatcher();
-      }
+      processor.setEnhancementOptions(getEnhancementOptions());
+      updateProcessorWatchFolders();
     } catch (e) {
       console.log('Error loading settings:', e);
     }
   }
 
-  // Try to launch LUMIX Tether
-  setTimeout(() => launchLumixTether(), 1000);
+  if (stations.length === 0) {
+    stations = [createStation()];
+  }
+
+  // The first launch after upgrading turns the folders and preset above into the first event
+  const activeEvent = eventStore.migrateFromSettings(getEventSnapshot());
+
+  // Start watchers and bring back the session that was running before a crash or update,
+  // plus today's recent sessions
+  applyEvent(activeEvent);
+  saveSettings();
+
+  // Apply event retention policies now and every few hours while the app stays open
+  setTimeout(applyRetentionPolicies, 10000);
+  setInterval(applyRetentionPolicies, RETENTION_CHECK_INTERVAL_MS);
+
+  // Try to launch each tethering app in use across stations
+  setTimeout(() => {
+    const profiles = new Set(stations.map(s => getStationProfile(s)));
+    profiles.forEach(profile => tetherSources.launchTetherApp(profile));
+  }, 1000);
 }
 
 app.whenReady().then(() => {
   setupAutoUpdater();
   createWindow();
 
+  // Watchers can silently stop delivering events across sleep - restart them and catch up
+  powerMonitor.on('resume', () => {
+    console.log('System resumed - restarting watchers');
+    startAllWatchers();
+    setTimeout(() => runCatchUpScan('resume'), 3000);
+  });
+
   // Check for updates after window is ready (delay to ensure UI is loaded)
   setTimeout(() => {
     autoUpdater.checkForUpdates().catch(err => {
@@ -409,66 +1403,675 @@ app.whenReady().then(() => {
   }, 3000);
 });
 
-app.on('window-all-closed', () => {
-  if (watcher) watcher.close();
-  if (process.platform !== 'darwin') app.quit();
+app.on('window-all-closed', () => {
+  stopAllWatchers();
+  if (stationSync) stationSync.stop(true);
+  if (process.platform !== 'darwin') app.quit();
+});
+
+app.on('activate', () => {
+  if (BrowserWindow.getAllWindows().length === 0) createWindow();
+});
+
+// Handle folder selection for a station's watch folder (tethering app output)
+ipcMain.handle('select-watch-folder', async (event, stationId) => {
+  const station = getStation(stationId) || stations[0];
+  if (!station) {
+    return null;
+  }
+
+  const { appName } = getStationProfile(station);
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory'],
+    title: `Select ${appName} Output Folder for ${station.name}`,
+    message: `Choose the folder where ${appName} saves photos for ${station.name}`
+  });
+  if (!result.canceled && result.filePaths.length > 0) {
+    station.watchFolder = result.filePaths[0];
+    saveSettings();
+    auditSettings('watch folder', { station: station.name, folder: station.watchFolder });
+    startWatcher(station);
+    // Update processor with watch folders for JPEG fallback lookup
+    updateProcessorWatchFolders();
+    runCatchUpScan('watch-folder-changed');
+    return station.watchFolder;
+  }
+  return null;
+});
+
+// Camera stations
+ipcMain.handle('get-stations', () => {
+  return stations.map(s => ({
+    ...s,
+    profileName: getStationProfile(s).name,
+    appName: getStationProfile(s).appName,
+    isWatching: watchers.has(s.id)
+  }));
+});
+
+ipcMain.handle('add-station', (event, name) => {
+  const station = createStation(name);
+  stations.push(station);
+  saveSettings();
+  auditSettings('station added', { station: station.name });
+  return { success: true, station };
+});
+
+ipcMain.handle('update-station', (event, { stationId, name, tetherProfile }) => {
+  const station = getStation(stationId);
+  if (!station) {
+    return { success: false, error: 'Station not found' };
+  }
+  if (name !== undefined && name.trim()) {
+    station.name = name.trim();
+  }
+  if (tetherProfile !== undefined) {
+    // Empty string means "use the default profile from settings"
+    station.tetherProfile = tetherProfile ? tetherSources.getProfile(tetherProfile).id : '';
+    startWatcher(station);
+  }
+  saveSettings();
+  auditSettings('station', { station: station.name, tetherProfile: station.tetherProfile || 'default' });
+  return { success: true, station };
+});
+
+// Catch-up scan on demand
+ipcMain.handle('scan-missed-captures', async () => {
+  if (!outputFolder) {
+    return { success: false, error: 'Output folder not set', added: 0 };
+  }
+  const added = await runCatchUpScan('manual');
+  return { success: true, added: added.length };
+});
+
+// Unassigned capture inbox
+ipcMain.handle('get-inbox', () => {
+  return captureInbox ? captureInbox.list() : [];
+});
+
+ipcMain.handle('add-to-inbox', async (event, { stationId, filePath }) => {
+  const station = getStation(stationId);
+  if (!captureInbox || !station) {
+    return { success: false, error: 'Station not found' };
+  }
+  const item = await captureInbox.add({
+    stationId: station.id,
+    stationName: station.name,
+    sourcePath: filePath,
+    previewPath: tetherSources.findPairedJpeg(getStationProfile(station), filePath),
+    reason: 'no-session'
+  });
+  return { success: true, item };
+});
+
+// Attach inbox captures to a person. Past sessions may only send a shoot number -
+// the rest of their details come from contacts.csv
+ipcMain.handle('assign-inbox-captures', async (event, { ids, person }) => {
+  if (!captureInbox) {
+    return { success: false, error: 'Inbox not ready' };
+  }
+
+  const details = resolvePerson(person);
+  if (!details) {
+    return { success: false, error: `No registration found for ${person.shootNumber}` };
+  }
+
+  const assigned = [];
+  const errors = [];
+  let personFolder = null;
+
+  for (const id of ids) {
+    const item = captureInbox.get(id);
+    if (!item) continue;
+
+    const result = importCapture({
+      ...details,
+      originalFile: item.sourcePath,
+      stationId: item.stationId
+    });
+    if (result.success) {
+      assigned.push(id);
+      personFolder = result.personFolder;
+    } else {
+      errors.push(`${item.fileName}: ${result.error}`);
+    }
+  }
+
+  captureInbox.remove(assigned);
+  return { success: errors.length === 0, assigned: assigned.length, personFolder, errors, error: errors[0] };
+});
+
+// Dismissed captures stay in the watch folder but are marked in the ledger so scans skip them
+ipcMain.handle('dismiss-inbox-captures', (event, ids) => {
+  if (!captureInbox) {
+    return { success: false, error: 'Inbox not ready' };
+  }
+  const removed = captureInbox.remove(ids);
+  if (captureLedger) {
+    removed.forEach(item => captureLedger.dismiss(item.sourcePath));
+  }
+  return { success: true, dismissed: removed.length };
+});
+
+ipcMain.handle('remove-station', (event, stationId) => {
+  if (stations.length <= 1) {
+    return { success: false, error: 'At least one station is required' };
+  }
+  stopWatcher(stationId);
+  sessionStore.end(stationId);
+  stations = stations.filter(s => s.id !== stationId);
+  updateProcessorWatchFolders();
+  saveSettings();
+  auditSettings('station removed', { stationId });
+  return { success: true };
+});
+
+// Handle folder selection for organized output
+ipcMain.handle('select-output-folder', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory', 'createDirectory'],
+    title: 'Select Output Folder for Organized Headshots',
+    message: 'Choose where to save organized headshot folders'
+  });
+  if (!result.canceled && result.filePaths.length > 0) {
+    outputFolder = result.filePaths[0];
+    sessionsFile = path.join(outputFolder, 'headshot_sessions.csv');
+    contactsFile = path.join(outputFolder, 'contacts.csv');
+    initOutputFiles();
+    initSessionsFile();
+
+    // Saving also points the active event at the new folder
+    saveSettings();
+    auditSettings('output folder', { folder: outputFolder });
+    initCaptureLedger();
+    initAttendeeList();
+    restoreSessions();
+    // Watchers exclude the output folder when it is nested inside a watch folder
+    startAllWatchers();
+    return outputFolder;
+  }
+  return null;
+});
+
+// Get current settings
+ipcMain.handle('get-settings', () => {
+  return { stations, outputFolder, sessionsFile, tetherProfile: getTetherProfile().id };
+});
+
+// ============================================
+// Event IPC Handlers
+// ============================================
+
+ipcMain.handle('get-events', () => {
+  return { events: eventStore.list(), activeEventId: eventStore.activeEventId };
+});
+
+// Create an event in a new output folder, starting from the current enhancement preset
+ipcMain.handle('create-event', async (event, name) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory', 'createDirectory'],
+    title: `Select Output Folder for ${name || 'New Event'}`,
+    message: 'Choose where to save this event\'s headshot folders'
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { success: false, canceled: true };
+  }
+
+  const eventFolder = result.filePaths[0];
+  const created = eventStore.create({
+    name,
+    outputFolder: eventFolder,
+    sessionsFile: path.join(eventFolder, 'headshot_sessions.csv'),
+    contactsFile: path.join(eventFolder, 'contacts.csv'),
+    // New events get eye-line framing even when the current one is on the legacy profile
+    enhancement: {
+      ...getEnhancementOptions(),
+      framingProfile: aiSettings.framingProfile === framing.LEGACY_PROFILE ? framing.DEFAULT_PROFILE : aiSettings.framingProfile
+    },
+    numbering: eventStore.getActive().numbering,
+    registration: eventStore.getActive().registration,
+    consent: eventStore.getActive().consent,
+    retention: eventStore.getActive().retention,
+    gallery: {
+      autoUpload: gallerySettings.autoUpload,
+      uploadPortrait: gallerySettings.uploadPortrait,
+      uploadSquare: gallerySettings.uploadSquare,
+      uploadTransparent: gallerySettings.uploadTransparent
+    }
+  });
+  audit('settings.change', { evt: created, details: { setting: 'event created', folder: eventFolder } });
+  return { success: true, event: created };
+});
+
+ipcMain.handle('rename-event', (event, { eventId, name }) => {
+  if (!name || !name.trim()) {
+    return { success: false, error: 'Event name is required' };
+  }
+  const updated = eventStore.update(eventId, { name: name.trim() });
+  if (updated) audit('settings.change', { evt: updated, details: { setting: 'event renamed' } });
+  return updated ? { success: true, event: updated } : { success: false, error: 'Event not found' };
+});
+
+// Switch every station, CSV, preset and gallery over to another event
+ipcMain.handle('set-active-event', (event, eventId) => {
+  if (eventId === eventStore.activeEventId) {
+    return { success: true, event: eventStore.getActive() };
+  }
+  if (!eventStore.get(eventId)) {
+    return { success: false, error: 'Event not found' };
+  }
+  const busy = Object.keys(sessionStore.getState().active).length;
+  if (busy > 0) {
+    return { success: false, error: `End the ${busy} active session(s) before switching events` };
+  }
+
+  // Write the outgoing event's latest settings before loading the new one
+  saveSettings();
+  const activeEvent = eventStore.setActive(eventId);
+  applyEvent(activeEvent);
+  saveSettings();
+  console.log(`Switched to event: ${activeEvent.name}`);
+  auditSettings('active event', {});
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('event-changed', activeEvent);
+  }
+  return { success: true, event: activeEvent };
+});
+
+// Shoot number template for the active event, plus this laptop's station ID
+ipcMain.handle('get-numbering', () => {
+  return {
+    scheme: getNumberingScheme(),
+    stationCode: shootStationCode,
+    tokens: shootNumbers.TOKENS,
+    preview: shootNumbers.preview(getNumberingScheme(), shootStationCode)
+  };
+});
+
+ipcMain.handle('preview-numbering', (event, { scheme, stationCode }) => {
+  const errors = shootNumbers.validateScheme(scheme, stationCode);
+  return {
+    valid: errors.length === 0,
+    errors,
+    preview: errors.length === 0 ? shootNumbers.preview(scheme, stationCode) : null
+  };
+});
+
+ipcMain.handle('set-numbering', (event, { scheme, stationCode }) => {
+  const errors = shootNumbers.validateScheme(scheme, stationCode);
+  if (errors.length > 0) {
+    return { success: false, error: errors.join('. ') };
+  }
+
+  eventStore.update(eventStore.activeEventId, { numbering: shootNumbers.normalizeScheme(scheme) });
+  shootStationCode = (stationCode || '').trim();
+  saveSettings();
+  auditSettings('numbering', { template: getNumberingScheme().template, stationCode: shootStationCode });
+  return { success: true, preview: shootNumbers.preview(getNumberingScheme(), shootStationCode) };
+});
+
+// Consent step for the active event
+ipcMain.handle('get-consent-settings', () => {
+  return getConsentSettings();
+});
+
+ipcMain.handle('set-consent-settings', (event, changes) => {
+  const { config, errors } = consent.updateConsent(eventStore.getActive().consent, changes);
+  if (errors.length > 0) {
+    return { success: false, error: errors.join('. ') };
+  }
+
+  eventStore.update(eventStore.activeEventId, { consent: config });
+  saveSettings();
+  auditSettings('consent', { enabled: config.enabled, version: config.version, signature: config.signature });
+  return { success: true, consent: config };
+});
+
+// Retention policy for the active event
+ipcMain.handle('get-retention', () => {
+  const evt = eventStore.getActive();
+  return {
+    retention: DataPurge.normalizeRetention(evt.retention),
+    purgedAt: evt.purgedAt || null,
+    modes: DataPurge.MODES
+  };
+});
+
+ipcMain.handle('set-retention', (event, { days, mode }) => {
+  if (days !== '' && days !== null && days !== undefined && !(parseInt(days, 10) > 0)) {
+    return { success: false, error: 'Retention must be a whole number of days, or blank to keep data' };
+  }
+  const retention = DataPurge.normalizeRetention({ days, mode });
+  eventStore.update(eventStore.activeEventId, { retention });
+  saveSettings();
+  auditSettings('retention', retention);
+  return { success: true, retention };
+});
+
+// Purge all personal data in an event now
+ipcMain.handle('purge-event', async (event, { eventId, mode }) => {
+  const evt = eventStore.get(eventId || eventStore.activeEventId);
+  if (!evt) {
+    return { success: false, error: 'Event not found' };
+  }
+  try {
+    const report = await dataPurge.purgeEvent(evt, { mode });
+    eventStore.update(evt.id, { purgedAt: report.createdAt });
+    return { success: true, report: afterPurge(report) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Purge one person's sessions in the active event by shoot number
+ipcMain.handle('purge-person', async (event, { shootNumber, mode }) => {
+  const target = (shootNumber || '').trim();
+  if (!target) {
+    return { success: false, error: 'Enter a shoot number' };
+  }
+  const evt = eventStore.getActive();
+  if (!dataPurge.listShootNumbers(evt).includes(target)) {
+    return { success: false, error: `No data for ${target} in ${evt.name}` };
+  }
+  try {
+    const report = await dataPurge.purgePerson(evt, target, { mode });
+    return { success: true, report: afterPurge(report) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Right to erasure: delete a person's data in every event by email
+ipcMain.handle('erase-person', async (event, email) => {
+  if (!email || !email.includes('@')) {
+    return { success: false, error: 'Enter the person\'s email address' };
+  }
+  try {
+    const report = await dataPurge.eraseByEmail(eventStore.list(), email);
+    if (report.events.length === 0) {
+      return { success: false, error: 'No data found for that email address', report };
+    }
+    return { success: true, report: afterPurge(report) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('open-purge-reports', async () => {
+  fs.mkdirSync(dataPurge.reportsPath, { recursive: true });
+  const error = await shell.openPath(dataPurge.reportsPath);
+  return error ? { success: false, error } : { success: true };
+});
+
+// Registration form fields for the active event
+ipcMain.handle('get-registration-schema', () => {
+  return {
+    schema: getRegistrationSchema(),
+    coreFields: registrationSchema.CORE_FIELDS.map(f => f.key),
+    fieldTypes: registrationSchema.FIELD_TYPES
+  };
+});
+
+ipcMain.handle('set-registration-schema', (event, schema) => {
+  const errors = registrationSchema.validateSchema(schema);
+  if (errors.length > 0) {
+    return { success: false, error: errors.join('. ') };
+  }
+
+  eventStore.update(eventStore.activeEventId, { registration: registrationSchema.normalizeSchema(schema) });
+  // New custom fields get their columns straight away; removed ones keep theirs (and the data)
+  if (contactsFile && fs.existsSync(contactsFile)) {
+    ensureCsvColumns(contactsFile, getContactsColumns());
+  }
+  saveSettings();
+  auditSettings('registration fields', { fields: getRegistrationSchema().fields.map(f => f.key) });
+  return { success: true, schema: getRegistrationSchema() };
+});
+
+// Forget an event - its folders, CSVs and photos stay on disk
+ipcMain.handle('remove-event', (event, eventId) => {
+  const removed = eventStore.get(eventId);
+  if (!eventStore.remove(eventId)) {
+    return { success: false, error: 'The active event can\'t be removed' };
+  }
+  audit('settings.change', { evt: removed, details: { setting: 'event removed' } });
+  return { success: true };
+});
+
+// ============================================
+// Audit Log IPC Handlers
+// ============================================
+
+const AUDIT_VIEW_LIMIT = 500;
+
+ipcMain.handle('get-audit-log', (event, filter = {}) => {
+  const { entries, total } = auditLog.query({ ...filter, limit: AUDIT_VIEW_LIMIT });
+  return { entries, total, actions: AuditLog.ACTIONS };
+});
+
+ipcMain.handle('verify-audit-log', () => {
+  return auditLog.verify();
+});
+
+ipcMain.handle('export-audit-log', async (event, filter = {}) => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Audit Log',
+    defaultPath: `audit_log_${shootNumbers.formatDate()}.csv`,
+    filters: [
+      { name: 'CSV', extensions: ['csv'] },
+      { name: 'JSON Lines (with hash chain)', extensions: ['jsonl'] }
+    ]
+  });
+  if (result.canceled || !result.filePath) {
+    return { success: false, canceled: true };
+  }
+
+  try {
+    const count = auditLog.exportTo(result.filePath, filter);
+    audit('data.export', { details: { type: 'audit log', file: result.filePath, rows: count } });
+    return { success: true, filePath: result.filePath, count };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================
+// Station Sync IPC Handlers
+// ============================================
+
+ipcMain.handle('get-sync-status', () => {
+  return stationSync.getStatus();
 });
 
-app.on('activate', () => {
-  if (BrowserWindow.getAllWindows().length === 0) createWindow();
+ipcMain.handle('set-sync-settings', (event, settings) => {
+  const { mode, hostUrl, sharedFolder } = settings;
+  if (!StationSync.MODES.includes(mode)) {
+    return { success: false, error: 'Unknown sync mode' };
+  }
+  if (mode === 'client' && !/^https?:\/\/.+/.test(hostUrl || '')) {
+    return { success: false, error: 'Enter the host address, e.g. http://192.168.1.20:47123' };
+  }
+  if ((mode === 'host' || mode === 'folder') && !(sharedFolder && fs.existsSync(sharedFolder))) {
+    return { success: false, error: 'Choose the shared folder' };
+  }
+
+  stationSync.configure({
+    ...settings,
+    port: parseInt(settings.port, 10) || StationSync.DEFAULT_PORT
+  });
+  saveSettings();
+  auditSettings('station sync', { mode, hostUrl: mode === 'client' ? hostUrl : undefined, sharedFolder: mode === 'client' ? undefined : sharedFolder });
+  return { success: true, status: stationSync.getStatus() };
 });
 
-// Handle folder selection for watch folder (LUMIX Tether output)
-ipcMain.handle('select-watch-folder', async () => {
+ipcMain.handle('select-sync-folder', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
-    properties: ['openDirectory'],
-    title: 'Select LUMIX Tether Output Folder',
-    message: 'Choose the folder where LUMIX Tether saves photos'
+    properties: ['openDirectory', 'createDirectory'],
+    title: 'Select Shared Folder',
+    message: 'Choose the folder that holds the shared shoot counter and combined CSV files'
   });
-  if (!result.canceled && result.filePaths.length > 0) {
-    watchFolder = result.filePaths[0];
-    saveSettings();
-    startWatcher();
-    // Update processor with watch folder for JPEG fallback lookup
-    if (processor) {
-      processor.setWatchFolder(watchFolder);
-    }
-    return watchFolder;
+  return !result.canceled && result.filePaths.length > 0 ? result.filePaths[0] : null;
+});
+
+// Send queued station sync writes now (e.g. after the network comes back)
+ipcMain.handle('flush-sync', async () => {
+  await stationSync.flush();
+  return stationSync.getStatus();
+});
+
+// ============================================
+// Attendee List IPC Handlers
+// ============================================
+
+ipcMain.handle('get-attendee-summary', () => {
+  if (!attendeeList) {
+    return { available: false, count: 0 };
   }
-  return null;
+  return {
+    available: true,
+    count: attendeeList.attendees.length,
+    linked: attendeeList.attendees.filter(a => a.shootNumbers.length > 0).length,
+    source: attendeeList.source
+  };
 });
 
-// Handle folder selection for organized output
-ipcMain.handle('select-output-folder', async () => {
+// Pick an export and suggest a column mapping (the renderer confirms it before importing)
+ipcMain.handle('choose-attendee-file', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
-    properties: ['openDirectory', 'createDirectory'],
-    title: 'Select Output Folder for Organized Headshots',
-    message: 'Choose where to save organized headshot folders'
+    properties: ['openFile'],
+    title: 'Import Attendee List',
+    filters: [{ name: 'Attendee Lists', extensions: ['csv', 'xlsx'] }]
   });
-  if (!result.canceled && result.filePaths.length > 0) {
-    outputFolder = result.filePaths[0];
-    sessionsFile = path.join(outputFolder, 'headshot_sessions.csv');
-    contactsFile = path.join(outputFolder, 'contacts.csv');
+  if (result.canceled || result.filePaths.length === 0) {
+    return { success: false, canceled: true };
+  }
 
-    // Create headshot_sessions.csv if it doesn't exist (with new processing columns)
-    if (!fs.existsSync(sessionsFile)) {
-      fs.writeFileSync(sessionsFile, 'shoot_number,timestamp,first_name,last_name,email,mobile,company,original_filename,new_filename,original_path,new_path,processing_status,enhanced_jpeg_path,enhanced_png_path,enhanced_square_jpg_path,enhanced_square_png_path,processing_timestamp\n');
+  try {
+    const filePath = result.filePaths[0];
+    const { header, rows } = await AttendeeList.readSpreadsheet(filePath);
+    if (header.length === 0) {
+      return { success: false, error: 'No header row found in that file' };
     }
+    return {
+      success: true,
+      filePath,
+      fileName: path.basename(filePath),
+      header,
+      rowCount: rows.length,
+      sample: rows.slice(0, 3),
+      fields: AttendeeList.FIELDS,
+      mapping: AttendeeList.guessMapping(header)
+    };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('import-attendees', async (event, { filePath, mapping }) => {
+  if (!attendeeList) {
+    return { success: false, error: 'Output folder not set' };
+  }
+  if (!mapping.firstName && !mapping.lastName) {
+    return { success: false, error: 'Map at least the first or last name column' };
+  }
+
+  try {
+    const { rows } = await AttendeeList.readSpreadsheet(filePath);
+    const counts = attendeeList.import(rows, mapping, path.basename(filePath));
+    console.log(`Imported attendees from ${path.basename(filePath)}:`, counts);
+    audit('data.import', { details: { type: 'attendee list', file: path.basename(filePath), ...counts } });
+    return { success: true, ...counts, total: attendeeList.attendees.length };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('search-attendees', (event, query) => {
+  return attendeeList ? attendeeList.search(query || '') : [];
+});
+
+// Decode a badge scan and look it up in the attendee list
+// Details on the badge fill any gaps in the imported record (and vice versa)
+ipcMain.handle('scan-badge', (event, payload) => {
+  const badge = parseBadge(payload);
+  if (!badge) {
+    return { success: false, error: 'Empty scan' };
+  }
 
-    // Create contacts.csv if it doesn't exist
-    if (!fs.existsSync(contactsFile)) {
-      fs.writeFileSync(contactsFile, 'shoot_number,first_name,last_name,email,mobile,company\n');
+  const attendee = attendeeList ? attendeeList.match({ attendeeId: badge.attendeeId, email: badge.person.email }) : null;
+  const person = { ...badge.person };
+  if (attendee) {
+    for (const field of ['firstName', 'lastName', 'email', 'mobile', 'company']) {
+      person[field] = attendee[field] || person[field];
     }
+  }
 
-    saveSettings();
-    return outputFolder;
+  const missing = getRegistrationSchema().fields
+    .filter(field => field.required && !person[field.key])
+    .map(field => field.key);
+  return {
+    success: true,
+    type: badge.type,
+    attendeeId: attendee ? attendee.id : null,
+    badgeId: badge.attendeeId,
+    person,
+    missing
+  };
+});
+
+// Photographed / not photographed list for the active event
+ipcMain.handle('export-reconciliation', async () => {
+  if (!attendeeList || attendeeList.attendees.length === 0) {
+    return { success: false, error: 'No attendee list imported for this event' };
   }
-  return null;
+
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Save Attendee Reconciliation',
+    defaultPath: path.join(outputFolder, 'attendee_reconciliation.csv'),
+    filters: [{ name: 'CSV', extensions: ['csv'] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return { success: false, canceled: true };
+  }
+
+  const rows = attendeeList.reconcile(
+    shootNumber => countSessionPhotos(findSessionFolder(shootNumber)),
+    readCsvFile(contactsFile).rows
+  );
+  const header = ['attendee_id', 'first_name', 'last_name', 'email', 'company', 'status', 'shoot_numbers', 'photo_count'];
+  writeCsvFile(result.filePath, header, rows);
+
+  const photographed = rows.filter(r => r.status === 'photographed').length;
+  audit('data.export', { details: { type: 'attendee reconciliation', file: result.filePath, rows: rows.length } });
+  return { success: true, filePath: result.filePath, photographed, notPhotographed: rows.length - photographed };
 });
 
-// Get current settings
-ipcMain.handle('get-settings', () => {
-  return { watchFolder, outputFolder, sessionsFile };
+// Tether source profiles
+ipcMain.handle('get-tether-profiles', () => {
+  return {
+    profiles: tetherSources.listProfiles(),
+    selected: getTetherProfile().id
+  };
+});
+
+ipcMain.handle('set-tether-profile', (event, profileId) => {
+  const profile = tetherSources.getProfile(profileId);
+  tetherProfileId = profile.id;
+  saveSettings();
+  auditSettings('tether profile', { profile: profile.id });
+
+  // Restart watchers so depth and ignore rules take effect
+  startAllWatchers();
+
+  return { success: true, profile: { id: profile.id, name: profile.name, appName: profile.appName } };
+});
+
+ipcMain.handle('launch-tether-app', (event, stationId) => {
+  const station = getStation(stationId);
+  const profile = station ? getStationProfile(station) : getTetherProfile();
+  const launched = tetherSources.launchTetherApp(profile);
+  return launched ? { success: true } : { success: false, error: `${profile.appName} not found` };
 });
 
 // AI Processing IPC Handlers
@@ -477,26 +2080,41 @@ ipcMain.handle('get-settings', () => {
 ipcMain.handle('get-ai-settings', () => {
   return {
     hasApiKey: !!aiSettings.replicateApiKey,
+    credentialStorage: credentialStore ? credentialStore.method : null,
     processingEnabled: aiSettings.processingEnabled,
     autoProcessOnCapture: aiSettings.autoProcessOnCapture,
-    outputPortrait: aiSettings.outputPortrait,
-    outputSquare: aiSettings.outputSquare,
+    outputFormats: aiSettings.outputFormats,
+    fileTypes: outputFormats.FILE_TYPES,
+    defaultFormats: outputFormats.DEFAULT_FORMATS,
+    framingProfile: aiSettings.framingProfile,
+    framingProfiles: Object.values(framing.PROFILES).map(profile => ({ id: profile.id, label: profile.label })),
     faceEnhancement: aiSettings.faceEnhancement,
     skinSmoothing: aiSettings.skinSmoothing,
     shineRemoval: aiSettings.shineRemoval,
     upscaling: aiSettings.upscaling,
     backgroundRemoval: aiSettings.backgroundRemoval,
-    backgroundColor: aiSettings.backgroundColor
+    backgroundColor: aiSettings.backgroundColor,
+    idPhotoRules: aiSettings.idPhotoRules,
+    idPhotoPrintSheet: aiSettings.idPhotoPrintSheet,
+    idPhotoRuleSets: Object.values(idPhoto.RULE_SETS).map(rules => ({ id: rules.id, label: rules.label }))
   };
 });
 
 // Set AI settings
 ipcMain.handle('set-ai-settings', async (event, settings) => {
-  console.log('set-ai-settings called with:', JSON.stringify(settings));
+  // Never log the API key itself
+  const { replicateApiKey, ...loggable } = settings;
+  console.log('set-ai-settings called with:', JSON.stringify(loggable), replicateApiKey !== undefined ? '(API key changed)' : '');
+
+  if (settings.outputFormats !== undefined) {
+    const errors = outputFormats.validateFormats(settings.outputFormats);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('. ') };
+    }
+  }
 
   if (settings.replicateApiKey !== undefined) {
     aiSettings.replicateApiKey = settings.replicateApiKey;
-    console.log('API key set, length:', settings.replicateApiKey.length);
     if (processor) {
       processor.setApiKey(settings.replicateApiKey);
     }
@@ -510,12 +2128,12 @@ ipcMain.handle('set-ai-settings', async (event, settings) => {
   if (settings.autoProcessOnCapture !== undefined) {
     aiSettings.autoProcessOnCapture = settings.autoProcessOnCapture;
   }
-  // Output format options
-  if (settings.outputPortrait !== undefined) {
-    aiSettings.outputPortrait = settings.outputPortrait;
+  // Output formats (validated above)
+  if (settings.outputFormats !== undefined) {
+    aiSettings.outputFormats = settings.outputFormats.map(outputFormats.normalizeFormat);
   }
-  if (settings.outputSquare !== undefined) {
-    aiSettings.outputSquare = settings.outputSquare;
+  if (settings.framingProfile !== undefined) {
+    aiSettings.framingProfile = framing.PROFILES[settings.framingProfile] ? settings.framingProfile : framing.DEFAULT_PROFILE;
   }
   // Scalable enhancement options
   if (settings.faceEnhancement !== undefined) {
@@ -536,25 +2154,25 @@ ipcMain.handle('set-ai-settings', async (event, settings) => {
   if (settings.backgroundColor !== undefined) {
     aiSettings.backgroundColor = settings.backgroundColor;
   }
+  // Passport / ID photo compliance
+  if (settings.idPhotoRules !== undefined) {
+    aiSettings.idPhotoRules = idPhoto.RULE_SETS[settings.idPhotoRules] ? settings.idPhotoRules : 'off';
+  }
+  if (settings.idPhotoPrintSheet !== undefined) {
+    aiSettings.idPhotoPrintSheet = settings.idPhotoPrintSheet;
+  }
 
   // Update processor with enhancement options
   if (processor) {
-    processor.setEnhancementOptions({
-      outputPortrait: aiSettings.outputPortrait,
-      outputSquare: aiSettings.outputSquare,
-      faceEnhancement: aiSettings.faceEnhancement,
-      skinSmoothing: aiSettings.skinSmoothing,
-      shineRemoval: aiSettings.shineRemoval,
-      upscaling: aiSettings.upscaling,
-      backgroundRemoval: aiSettings.backgroundRemoval,
-      backgroundColor: aiSettings.backgroundColor
-    });
+    processor.setEnhancementOptions(getEnhancementOptions());
   }
 
   saveSettings();
-  console.log('Settings saved. Current aiSettings:', JSON.stringify(aiSettings));
+  console.log('Settings saved. Current aiSettings:', JSON.stringify({ ...aiSettings, replicateApiKey: aiSettings.replicateApiKey ? '[stored]' : '' }));
+  // Record which settings changed - never the API key itself
+  auditSettings('ai processing', { changed: Object.keys(settings) });
 
-  return { success: true };
+  return { success: true, outputFormats: aiSettings.outputFormats };
 });
 
 // Test API connection
@@ -636,7 +2254,7 @@ ipcMain.handle('get-gallery-settings', () => {
     uploadTransparent: gallerySettings.uploadTransparent,
     selectedGalleryId: selectedGalleryId,
     selectedGalleryName: selectedGalleryName,
-    hasCredentials: !!(gallerySettings.username && gallerySettings.password)
+    hasCredentials: !!(gallerySettings.username && (gallerySettings.password || (galleryClient && galleryClient.refreshToken)))
   };
 });
 
@@ -652,10 +2270,11 @@ ipcMain.handle('set-gallery-credentials', async (event, { username, password })
     const result = await galleryClient.login(username, password);
 
     if (result.success) {
-      // Save credentials
+      // Keep the password only when the server doesn't issue refresh tokens
       gallerySettings.username = username;
-      gallerySettings.password = password;
+      gallerySettings.password = galleryClient.refreshToken ? '' : password;
       saveSettings();
+      auditSettings('gallery account', { username });
 
       return {
         success: true,
@@ -676,12 +2295,10 @@ ipcMain.handle('test-gallery-connection', async () => {
     return { success: false, error: 'Not configured' };
   }
 
-  // If not authenticated but we have credentials, try to login
-  if (!galleryClient.isAuthenticated() && gallerySettings.username && gallerySettings.password) {
-    const loginResult = await galleryClient.login(gallerySettings.username, gallerySettings.password);
-    if (!loginResult.success) {
-      return { success: false, error: loginResult.error };
-    }
+  // Refresh the session or log in again if it expired
+  const loginResult = await ensureGalleryAuth();
+  if (!loginResult.success) {
+    return { success: false, error: loginResult.error };
   }
 
   return await galleryClient.testConnection();
@@ -694,11 +2311,9 @@ ipcMain.handle('list-galleries', async (event, page = 1) => {
   }
 
   // Ensure we're authenticated
-  if (!galleryClient.isAuthenticated() && gallerySettings.username && gallerySettings.password) {
-    const loginResult = await galleryClient.login(gallerySettings.username, gallerySettings.password);
-    if (!loginResult.success) {
-      return { success: false, error: loginResult.error, galleries: [] };
-    }
+  const loginResult = await ensureGalleryAuth();
+  if (!loginResult.success) {
+    return { success: false, error: loginResult.error, galleries: [] };
   }
 
   return await galleryClient.listGalleries(page);
@@ -711,11 +2326,9 @@ ipcMain.handle('create-gallery', async (event, { name, eventDate }) => {
   }
 
   // Ensure we're authenticated
-  if (!galleryClient.isAuthenticated() && gallerySettings.username && gallerySettings.password) {
-    const loginResult = await galleryClient.login(gallerySettings.username, gallerySettings.password);
-    if (!loginResult.success) {
-      return { success: false, error: loginResult.error };
-    }
+  const loginResult = await ensureGalleryAuth();
+  if (!loginResult.success) {
+    return { success: false, error: loginResult.error };
   }
 
   return await galleryClient.createGallery(name, eventDate);
@@ -728,6 +2341,7 @@ ipcMain.handle('set-selected-gallery', (event, { galleryId, galleryName }) => {
   gallerySettings.lastGalleryId = galleryId;
   gallerySettings.lastGalleryName = galleryName;
   saveSettings();
+  auditSettings('gallery selected', { galleryId, galleryName });
 
   return {
     success: true,
@@ -740,6 +2354,10 @@ ipcMain.handle('set-selected-gallery', (event, { galleryId, galleryName }) => {
 ipcMain.handle('clear-gallery-selection', () => {
   selectedGalleryId = null;
   selectedGalleryName = null;
+  gallerySettings.lastGalleryId = null;
+  gallerySettings.lastGalleryName = null;
+  saveSettings();
+  auditSettings('gallery selection cleared', {});
   return { success: true };
 });
 
@@ -758,6 +2376,7 @@ ipcMain.handle('set-gallery-upload-options', (event, options) => {
     gallerySettings.uploadTransparent = options.uploadTransparent;
   }
   saveSettings();
+  auditSettings('gallery upload options', options);
 
   return { success: true };
 });
@@ -767,15 +2386,20 @@ ipcMain.handle('upload-to-gallery', async (event, { galleryId, filePath }) => {
   if (!galleryClient) {
     return { success: false, error: 'Gallery not configured' };
   }
+  const registrant = sessionManifest.findRegistrant(filePath);
+  if (!consent.allowsPublication(registrant && registrant.consent, getConsentSettingsFor(filePath))) {
+    return { success: false, error: 'No consent to publish this person\'s photos is on record' };
+  }
 
-  if (!galleryClient.isAuthenticated() && gallerySettings.username && gallerySettings.password) {
-    const loginResult = await galleryClient.login(gallerySettings.username, gallerySettings.password);
-    if (!loginResult.success) {
-      return { success: false, error: loginResult.error };
-    }
+  const loginResult = await ensureGalleryAuth();
+  if (!loginResult.success) {
+    return { success: false, error: loginResult.error };
   }
 
-  return await galleryClient.uploadPhoto(galleryId, filePath);
+  const result = await galleryClient.uploadPhoto(galleryId, filePath);
+  sessionManifest.recordUpload(filePath, { success: result.success, galleryId, photoId: result.photoId, error: result.error });
+  auditUpload(shootNumberFromFolder(sessionManifest.sessionFolderOf(filePath)), filePath, galleryId, result, { auto: false });
+  return result;
 });
 
 // Logout from gallery
@@ -788,52 +2412,108 @@ ipcMain.handle('gallery-logout', () => {
   selectedGalleryId = null;
   selectedGalleryName = null;
   saveSettings();
+  auditSettings('gallery logout', {});
 
   return { success: true };
 });
 
-// Get list of existing session folders for reprocessing
-ipcMain.handle('get-session-folders', () => {
-  if (!outputFolder || !fs.existsSync(outputFolder)) {
+/**
+ * RAW captures in a session folder and whether each has been processed
+ * Reads session.json when present; folders from older versions fall back to
+ * matching output filenames in Processed/ (baseName-4x5.jpg, baseName-SQR.jpg, etc.)
+ */
+function getFolderCaptures(folderPath) {
+  const files = fs.readdirSync(folderPath);
+  const rawFiles = files.filter(f => tetherSources.RAW_EXTENSIONS.includes(path.extname(f).toLowerCase()));
+  const manifest = sessionManifest.readManifest(folderPath);
+
+  const processedFolder = path.join(folderPath, 'Processed');
+  const processedFiles = fs.existsSync(processedFolder) ? fs.readdirSync(processedFolder) : [];
+
+  return rawFiles.map(rawFile => {
+    const baseName = path.basename(rawFile, path.extname(rawFile));
+    const entry = manifest && manifest.captures.find(c => c.baseName === baseName);
+    const legacyOutputs = processedFiles.filter(f =>
+      f.startsWith(baseName + '-') && (f.endsWith('.jpg') || f.endsWith('.png'))
+    );
+
+    if (entry && entry.processing) {
+      const outputs = entry.processing.outputs || {};
+      return {
+        rawFile,
+        baseName,
+        sourcePath: path.join(folderPath, rawFile),
+        status: entry.processing.status,
+        processed: sessionManifest.isCaptureProcessed(folderPath, entry),
+        hasTransparent: Object.keys(outputs).some(key => key.endsWith('Transparent'))
+      };
+    }
+    return {
+      rawFile,
+      baseName,
+      sourcePath: path.join(folderPath, rawFile),
+      status: legacyOutputs.length > 0 ? 'completed' : 'unknown',
+      processed: legacyOutputs.length > 0,
+      hasTransparent: legacyOutputs.some(f => f.endsWith('.png'))
+    };
+  });
+}
+
+/**
+ * Queue every unprocessed capture in a session folder
+ * @returns {number} Number of captures queued
+ */
+function queueUnprocessedCaptures(folderPath, shootNumber, eventId) {
+  let queuedCount = 0;
+  for (const capture of getFolderCaptures(folderPath)) {
+    // Skip captures that already have outputs, or are already waiting in the queue
+    if (capture.processed || processor.isQueued(capture.sourcePath)) {
+      continue;
+    }
+
+    processor.addToQueue({
+      sourcePath: capture.sourcePath,
+      outputFolder: folderPath,
+      shootNumber: shootNumber,
+      baseName: capture.baseName,
+      eventId: eventId || eventStore.activeEventId
+    });
+    queuedCount++;
+  }
+  return queuedCount;
+}
+
+// Get list of existing session folders for reprocessing (in the active event, or a past one)
+ipcMain.handle('get-session-folders', (event, eventId) => {
+  const evt = resolveEvent(eventId);
+  const eventFolder = evt ? evt.outputFolder : outputFolder;
+  if (!eventFolder || !fs.existsSync(eventFolder)) {
     return [];
   }
 
-  const folders = fs.readdirSync(outputFolder, { withFileTypes: true })
+  const folders = fs.readdirSync(eventFolder, { withFileTypes: true })
     .filter(dirent => dirent.isDirectory())
     .map(dirent => {
-      const folderPath = path.join(outputFolder, dirent.name);
-      const files = fs.readdirSync(folderPath);
-
-      // Count RAW files
-      const rawExtensions = ['.rw2', '.raw', '.arw', '.cr2', '.cr3', '.nef', '.orf', '.dng'];
-      const rawFiles = files.filter(f => rawExtensions.includes(path.extname(f).toLowerCase()));
-
-      // Check Processed subfolder for output files
-      const processedFolder = path.join(folderPath, 'Processed');
-      const processedFiles = fs.existsSync(processedFolder) ? fs.readdirSync(processedFolder) : [];
-      const processedJpgs = processedFiles.filter(f => f.endsWith('.jpg'));
-      const processedPngs = processedFiles.filter(f => f.endsWith('.png'));
-
-      // Count how many RAW files have been processed
-      let processedRawCount = 0;
-      for (const rawFile of rawFiles) {
-        const baseName = path.basename(rawFile, path.extname(rawFile));
-        const hasOutput = processedFiles.some(f => f.startsWith(baseName + '-'));
-        if (hasOutput) processedRawCount++;
-      }
+      const folderPath = path.join(eventFolder, dirent.name);
+      const captures = getFolderCaptures(folderPath);
+      const processedRawCount = captures.filter(c => c.processed).length;
+      const manifest = sessionManifest.readManifest(folderPath);
 
-      // Parse folder name for shoot number and name
-      const match = dirent.name.match(/^(\d{8}-\d{3})_(.+)$/);
+      // Parse folder name for shoot number and name (session.json has the registrant's real name)
+      const parsed = shootNumbers.parseFolderName(dirent.name);
+      const registrant = manifest && manifest.registrant;
 
       return {
         name: dirent.name,
         path: folderPath,
-        shootNumber: match ? match[1] : dirent.name,
-        personName: match ? match[2].replace(/_/g, ' ') : dirent.name,
-        rawCount: rawFiles.length,
+        shootNumber: parsed ? parsed.shootNumber : dirent.name,
+        personName: registrant
+          ? `${registrant.firstName} ${registrant.lastName}`
+          : (parsed ? parsed.personName : dirent.name),
+        rawCount: captures.length,
         processedCount: processedRawCount,
-        hasTransparent: processedPngs.length > 0,
-        needsProcessing: rawFiles.length > 0 && processedRawCount < rawFiles.length
+        hasTransparent: captures.some(c => c.hasTransparent),
+        needsProcessing: captures.length > 0 && processedRawCount < captures.length
       };
     })
     .filter(f => f.rawCount > 0) // Only show folders with photos
@@ -842,8 +2522,63 @@ ipcMain.handle('get-session-folders', () => {
   return folders;
 });
 
+// Passport / ID photo checklist results for every capture in the active event
+ipcMain.handle('export-id-photo-report', async () => {
+  if (!outputFolder || !fs.existsSync(outputFolder)) {
+    return { success: false, error: 'No output folder for this event' };
+  }
+
+  const rows = [];
+  for (const dirent of fs.readdirSync(outputFolder, { withFileTypes: true })) {
+    if (!dirent.isDirectory()) continue;
+    const folderPath = path.join(outputFolder, dirent.name);
+    const manifest = sessionManifest.readManifest(folderPath);
+    if (!manifest) continue;
+
+    const registrant = manifest.registrant || {};
+    for (const capture of manifest.captures) {
+      const result = capture.processing && capture.processing.idPhoto;
+      if (!result) continue;
+      let checks = [];
+      try {
+        checks = JSON.parse(fs.readFileSync(path.join(folderPath, result.report), 'utf-8')).checks;
+      } catch (e) { /* report removed - the manifest summary still lists failures */ }
+      rows.push({
+        shoot_number: manifest.shootNumber || shootNumberFromFolder(folderPath) || dirent.name,
+        first_name: registrant.firstName || '',
+        last_name: registrant.lastName || '',
+        capture: capture.baseName,
+        rule_set: result.ruleSet,
+        status: result.status,
+        failed: checks.filter(c => c.status === 'fail').map(c => `${c.label}: ${c.detail}`).join('; ') || result.failed.join('; '),
+        review: checks.filter(c => c.status === 'review').map(c => c.label).join('; '),
+        photo: (capture.processing.outputs || {}).idPhoto || ''
+      });
+    }
+  }
+  if (rows.length === 0) {
+    return { success: false, error: 'No ID photos have been processed for this event' };
+  }
+
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Save ID Photo Report',
+    defaultPath: path.join(outputFolder, 'id_photo_report.csv'),
+    filters: [{ name: 'CSV', extensions: ['csv'] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return { success: false, canceled: true };
+  }
+
+  const header = ['shoot_number', 'first_name', 'last_name', 'capture', 'rule_set', 'status', 'failed', 'review', 'photo'];
+  writeCsvFile(result.filePath, header, rows);
+
+  const failed = rows.filter(r => r.status === 'fail').length;
+  audit('data.export', { details: { type: 'id photo report', file: result.filePath, rows: rows.length } });
+  return { success: true, filePath: result.filePath, count: rows.length, failed };
+});
+
 // Reprocess an existing session folder
-ipcMain.handle('reprocess-folder', async (event, folderPath) => {
+ipcMain.handle('reprocess-folder', async (event, folderPath, eventId) => {
   if (!processor) {
     return { success: false, error: 'Processor not initialized' };
   }
@@ -853,45 +2588,11 @@ ipcMain.handle('reprocess-folder', async (event, folderPath) => {
   }
 
   const folderName = path.basename(folderPath);
-  const match = folderName.match(/^(\d{8}-\d{3})_(.+)$/);
-  const shootNumber = match ? match[1] : folderName;
-
-  // Find all RAW/JPEG files that haven't been processed yet
-  const files = fs.readdirSync(folderPath);
-  const rawExtensions = ['.rw2', '.raw', '.arw', '.cr2', '.cr3', '.nef', '.orf', '.dng'];
-
-  // Check Processed subfolder for already-processed files
-  const processedFolder = path.join(folderPath, 'Processed');
-  const processedFiles = fs.existsSync(processedFolder) ? fs.readdirSync(processedFolder) : [];
-
-  // Get RAW files
-  const rawFiles = files.filter(f => rawExtensions.includes(path.extname(f).toLowerCase()));
-
-  let queuedCount = 0;
-
-  for (const rawFile of rawFiles) {
-    const baseName = path.basename(rawFile, path.extname(rawFile));
-    const sourcePath = path.join(folderPath, rawFile);
-
-    // Check if already processed by looking for output files in Processed folder
-    // Files are named: baseName-4x5.jpg, baseName-SQR.jpg, etc.
-    const hasProcessedOutput = processedFiles.some(f =>
-      f.startsWith(baseName + '-') && (f.endsWith('.jpg') || f.endsWith('.png'))
-    );
-
-    // Skip if already has processed outputs
-    if (hasProcessedOutput) {
-      continue;
-    }
+  const shootNumber = shootNumberFromFolder(folderPath) || folderName;
 
-    // Add to processing queue
-    processor.addToQueue({
-      sourcePath: sourcePath,
-      outputFolder: folderPath,
-      shootNumber: shootNumber,
-      baseName: baseName
-    });
-    queuedCount++;
+  const queuedCount = queueUnprocessedCaptures(folderPath, shootNumber, eventId);
+  if (queuedCount > 0) {
+    audit('processing.queued', { evt: resolveEvent(eventId), shootNumber, details: { captures: queuedCount } });
   }
 
   return {
@@ -902,75 +2603,42 @@ ipcMain.handle('reprocess-folder', async (event, folderPath) => {
 });
 
 // Reprocess all session folders
-ipcMain.handle('reprocess-all-folders', async () => {
+ipcMain.handle('reprocess-all-folders', async (event, eventId) => {
   if (!processor) {
     return { success: false, error: 'Processor not initialized' };
   }
 
-  if (!outputFolder || !fs.existsSync(outputFolder)) {
+  const evt = resolveEvent(eventId);
+  const eventFolder = evt ? evt.outputFolder : outputFolder;
+  if (!eventFolder || !fs.existsSync(eventFolder)) {
     return { success: false, error: 'Output folder not set' };
   }
 
-  const rawExtensions = ['.rw2', '.raw', '.arw', '.cr2', '.cr3', '.nef', '.orf', '.dng'];
-
   let totalQueued = 0;
   let foldersProcessed = 0;
 
   // Get all session folders
-  const folders = fs.readdirSync(outputFolder, { withFileTypes: true })
+  const folders = fs.readdirSync(eventFolder, { withFileTypes: true })
     .filter(dirent => dirent.isDirectory())
     .map(dirent => {
-      const folderPath = path.join(outputFolder, dirent.name);
-      const match = dirent.name.match(/^(\d{8}-\d{3})_(.+)$/);
+      const folderPath = path.join(eventFolder, dirent.name);
       return {
         path: folderPath,
         name: dirent.name,
-        shootNumber: match ? match[1] : dirent.name
+        shootNumber: shootNumberFromFolder(dirent.name) || dirent.name
       };
     });
 
   for (const folder of folders) {
-    const files = fs.readdirSync(folder.path);
-    const rawFiles = files.filter(f => rawExtensions.includes(path.extname(f).toLowerCase()));
-
-    if (rawFiles.length === 0) continue;
-
-    // Check Processed subfolder for already-processed files
-    const processedFolder = path.join(folder.path, 'Processed');
-    const processedFiles = fs.existsSync(processedFolder) ? fs.readdirSync(processedFolder) : [];
-
-    let folderQueued = 0;
-
-    for (const rawFile of rawFiles) {
-      const baseName = path.basename(rawFile, path.extname(rawFile));
-      const sourcePath = path.join(folder.path, rawFile);
-
-      // Check if already processed by looking for output files in Processed folder
-      // Files are named: baseName-4x5.jpg, baseName-SQR.jpg, etc.
-      const hasProcessedOutput = processedFiles.some(f =>
-        f.startsWith(baseName + '-') && (f.endsWith('.jpg') || f.endsWith('.png'))
-      );
-
-      // Skip if already has processed outputs
-      if (hasProcessedOutput) {
-        continue;
-      }
-
-      // Add to processing queue
-      processor.addToQueue({
-        sourcePath: sourcePath,
-        outputFolder: folder.path,
-        shootNumber: folder.shootNumber,
-        baseName: baseName
-      });
-      folderQueued++;
-      totalQueued++;
-    }
-
+    const folderQueued = queueUnprocessedCaptures(folder.path, folder.shootNumber, evt && evt.id);
     if (folderQueued > 0) {
+      totalQueued += folderQueued;
       foldersProcessed++;
     }
   }
+  if (totalQueued > 0) {
+    audit('processing.queued', { evt, details: { captures: totalQueued, sessions: foldersProcessed } });
+  }
 
   return {
     success: true,
@@ -997,139 +2665,191 @@ ipcMain.handle('select-folder-to-reprocess', async () => {
 
 // Save a headshot session
 ipcMain.handle('save-session', async (event, data) => {
-  const { firstName, lastName, email, mobile, company, shootNumber, originalFile } = data;
+  const result = importCapture(data);
+  const session = sessionStore.getActive(data.stationId);
+  return session ? { ...result, photoCount: session.photoCount } : result;
+});
 
-  if (!outputFolder || !fs.existsSync(outputFolder)) {
-    return { success: false, error: 'Output folder not set' };
+// List the photos in a session folder so misattributed ones can be moved or deleted
+ipcMain.handle('list-session-captures', (event, folderPath) => {
+  if (!folderPath || !fs.existsSync(folderPath)) {
+    return [];
   }
 
-  // Create person's folder using shoot number
-  const safeName = `${lastName}_${firstName}`.replace(/[^a-zA-Z0-9_-]/g, '_');
-  const folderName = `${shootNumber}_${safeName}`;
-  const personFolder = path.join(outputFolder, folderName);
-  if (!fs.existsSync(personFolder)) {
-    fs.mkdirSync(personFolder, { recursive: true });
+  const files = fs.readdirSync(folderPath);
+  return getFolderCaptures(folderPath)
+    .sort((a, b) => a.rawFile.localeCompare(b.rawFile))
+    .map(capture => {
+      const jpeg = files.find(f => tetherSources.isJpegFile(f) && path.basename(f, path.extname(f)) === capture.baseName);
+      return {
+        filePath: capture.sourcePath,
+        fileName: capture.rawFile,
+        previewPath: jpeg ? path.join(folderPath, jpeg) : null,
+        processed: capture.processed
+      };
+    });
+});
+
+ipcMain.handle('move-capture', (event, { filePath, person }) => {
+  const details = resolvePerson(person);
+  if (!details) {
+    return { success: false, error: `No registration found for ${person && person.shootNumber}` };
   }
+  const fromShootNumber = shootNumberFromFolder(path.dirname(filePath));
+  const result = moveCapture(filePath, details);
+  if (result.success) {
+    audit('capture.moved', {
+      shootNumber: details.shootNumber,
+      details: { file: AuditLog.redactFileName(filePath, fromShootNumber), from: fromShootNumber }
+    });
+  }
+  return result;
+});
 
-  // Count existing files to generate photo number (only count RAW files to avoid double-counting)
-  const rawExtensions = ['.rw2', '.raw', '.arw', '.cr2', '.cr3', '.nef', '.orf', '.dng'];
-  const existingFiles = fs.readdirSync(personFolder).filter(f => {
-    const fileExt = path.extname(f).toLowerCase();
-    return f.startsWith(shootNumber) && rawExtensions.includes(fileExt);
-  });
-  const photoNum = String(existingFiles.length + 1).padStart(2, '0');
+ipcMain.handle('delete-capture', (event, filePath) => {
+  const shootNumber = shootNumberFromFolder(path.dirname(filePath));
+  const result = deleteCapture(filePath);
+  if (result.success) {
+    audit('capture.deleted', { shootNumber, details: { file: AuditLog.redactFileName(filePath, shootNumber) } });
+  }
+  return result;
+});
 
-  // Generate new filename with shoot number prefix and photo counter
-  const ext = path.extname(originalFile);
-  const baseName = `${shootNumber}_${safeName}_${photoNum}`;
-  const newFileName = `${baseName}${ext}`;
-  const newFilePath = path.join(personFolder, newFileName);
+// Find past sessions by name, email, company or shoot number (for retakes)
+ipcMain.handle('search-sessions', (event, query) => {
+  const needle = (query || '').trim().toLowerCase();
+  if (!needle) {
+    return [];
+  }
 
-  // Copy file to new location
-  try {
-    fs.copyFileSync(originalFile, newFilePath);
+  const matches = readCsvFile(contactsFile).rows
+    .filter(r => [r.shoot_number, `${r.first_name} ${r.last_name}`, r.email, r.company]
+      .some(value => (value || '').toLowerCase().includes(needle)))
+    .map(r => r.shoot_number)
+    .sort((a, b) => b.localeCompare(a)) // Newest first
+    .slice(0, 20);
 
-    // If this is a RAW file, also copy the corresponding JPEG if it exists (needed for AI processing)
-    const rawExtensionsLower = ['.rw2', '.raw', '.arw', '.cr2', '.cr3', '.nef', '.orf', '.dng'];
-    if (rawExtensionsLower.includes(ext.toLowerCase())) {
-      // Look for JPEG with same name in source folder
-      const originalDir = path.dirname(originalFile);
-      const originalBaseName = path.basename(originalFile, ext);
-
-      // Try different JPEG naming conventions
-      const jpegVariants = [
-        path.join(originalDir, `${originalBaseName}.jpg`),
-        path.join(originalDir, `${originalBaseName}.JPG`),
-        path.join(originalDir, `${originalBaseName}.jpeg`),
-        path.join(originalDir, `${originalBaseName}.JPEG`)
-      ];
-
-      for (const jpegSource of jpegVariants) {
-        if (fs.existsSync(jpegSource)) {
-          const jpegDest = path.join(personFolder, `${baseName}.jpg`);
-          fs.copyFileSync(jpegSource, jpegDest);
-          console.log('Copied JPEG for AI processing:', jpegDest);
-          break;
-        }
-      }
-    }
+  return matches.map(getSessionSummary).filter(Boolean);
+});
 
-    // Append to CSV (includes shoot_number, mobile, and processing status)
-    const originalFileName = path.basename(originalFile);
-    const csvLine = `"${shootNumber}","${new Date().toISOString()}","${firstName}","${lastName}","${email}","${mobile || ''}","${company || ''}","${originalFileName}","${newFileName}","${originalFile}","${newFilePath}","pending","","","","",""\n`;
-    fs.appendFileSync(sessionsFile, csvLine);
+// Reopen a past session so retakes keep its shoot number, folder and photo numbering
+ipcMain.handle('resume-session', (event, { shootNumber, stationId }) => {
+  const activeStation = getStation(sessionStore.findActiveStation(shootNumber));
+  if (activeStation) {
+    return { success: false, error: `${shootNumber} is already active on ${activeStation.name}` };
+  }
+  if (!getStation(stationId) || sessionStore.getActive(stationId)) {
+    return { success: false, error: 'Selected station already has an active session - end it first' };
+  }
 
-    // Add to AI processing queue if enabled
-    if (aiSettings.autoProcessOnCapture && processor) {
-      processor.addToQueue({
-        sourcePath: newFilePath,
-        outputFolder: personFolder,
-        shootNumber: shootNumber,
-        baseName: baseName
-      });
-    }
+  const summary = getSessionSummary(shootNumber);
+  if (!summary) {
+    return { success: false, error: `No registration found for ${shootNumber}` };
+  }
 
-    return { success: true, newPath: newFilePath, personFolder };
-  } catch (err) {
-    return { success: false, error: err.message };
+  const { folder, photoCount, ...person } = summary;
+  sessionStore.start(stationId, person, { folder, photoCount, resumed: true });
+  audit('session.resume', { shootNumber, stationId });
+  return { success: true, session: summary };
+});
+
+// Session state owned by the main process (survives crashes and auto-updates)
+ipcMain.handle('get-session-state', () => {
+  return sessionStore ? sessionStore.getState() : { active: {}, recent: [] };
+});
+
+ipcMain.handle('end-session', (event, stationId) => {
+  const session = sessionStore.end(stationId);
+  if (session) {
+    audit('session.end', { shootNumber: session.person.shootNumber, stationId, details: { photos: session.photoCount } });
   }
+  return { success: !!session };
 });
 
 // Open folder in Finder
 ipcMain.handle('open-folder', (event, folderPath) => {
+  const shootNumber = shootNumberFromFolder(folderPath);
+  audit('folder.open', {
+    shootNumber,
+    details: { folder: shootNumber ? AuditLog.redactFileName(folderPath, shootNumber) : folderPath }
+  });
   shell.openPath(folderPath);
 });
 
-// Track recently processed files to prevent duplicates (by filename, not full path)
-const recentlyProcessed = new Map(); // filename -> timestamp
+// Track recently processed files to prevent duplicates (by station + filename, not full path)
+const recentlyProcessed = new Map(); // "stationId:filename" -> timestamp
+
+function stopWatcher(stationId) {
+  const existing = watchers.get(stationId);
+  if (existing) {
+    existing.close();
+    watchers.delete(stationId);
+  }
+}
+
+function stopAllWatchers() {
+  for (const stationId of [...watchers.keys()]) {
+    stopWatcher(stationId);
+  }
+}
+
+function startAllWatchers() {
+  stopAllWatchers();
+  stations.forEach(station => startWatcher(station));
+}
 
-// Start watching folder for new images
-function startWatcher() {
+// Start watching a station's folder for new images
+function startWatcher(station) {
   // Use chokidar for file watching
   const chokidar = require('chokidar');
 
-  if (watcher) watcher.close();
+  stopWatcher(station.id);
 
+  const { watchFolder } = station;
   if (!watchFolder || !fs.existsSync(watchFolder)) return;
 
-  console.log('Starting watcher on:', watchFolder);
+  const profile = getStationProfile(station);
+  console.log(`Starting watcher for ${station.name} on: ${watchFolder} (${profile.name}, depth ${profile.watchDepth})`);
 
-  watcher = chokidar.watch(watchFolder, {
-    ignored: /(^|[\/\\])\../, // ignore dotfiles
+  // Never pick up our own organized output if it lives inside the watch folder
+  const excludedFolders = getExcludedFolders(watchFolder);
+
+  const watcher = chokidar.watch(watchFolder, {
+    // Profile ignore rules (dotfiles, sidecars, app caches) plus our own output folder
+    ignored: (filePath) => tetherSources.shouldIgnore(profile, filePath, excludedFolders),
     persistent: true,
     ignoreInitial: true,
     awaitWriteFinish: {
       stabilityThreshold: 2000,
       pollInterval: 500
     },
-    depth: 0,  // Only watch root folder, not subfolders
+    depth: profile.watchDepth,  // LUMIX writes flat; EOS Utility/Imaging Edge use dated subfolders
     usePolling: false
   });
+  watchers.set(station.id, watcher);
 
   watcher.on('add', (filePath) => {
-    const ext = path.extname(filePath).toLowerCase();
-    const imageExtensions = ['.jpg', '.jpeg', '.rw2', '.raw', '.arw', '.cr2', '.cr3', '.nef', '.orf', '.dng'];
-
-    if (imageExtensions.includes(ext)) {
-      // IMPORTANT: Ignore files in subfolders (these are already-organized output files)
+    if (tetherSources.isRawFile(profile, filePath) || tetherSources.isJpegFile(filePath)) {
+      // IMPORTANT: Ignore files in subfolders for flat-folder apps (these are already-organized output files)
       const fileDir = path.dirname(filePath);
-      if (fileDir !== watchFolder) {
+      if (profile.watchDepth === 0 && fileDir !== watchFolder) {
         console.log('Skipping file in subfolder (already organized):', filePath);
         return;
       }
 
       const filename = path.basename(filePath);
+      const dedupeKey = `${station.id}:${filename}`;
       const now = Date.now();
 
       // Check if this filename was processed recently (within 30 seconds)
-      const lastProcessed = recentlyProcessed.get(filename);
+      const lastProcessed = recentlyProcessed.get(dedupeKey);
       if (lastProcessed && (now - lastProcessed) < 30000) {
         console.log('Skipping duplicate:', filename);
         return;
       }
 
       // Mark as processed with current timestamp
-      recentlyProcessed.set(filename, now);
+      recentlyProcessed.set(dedupeKey, now);
 
       // Clean up old entries (older than 60 seconds)
       for (const [key, time] of recentlyProcessed.entries()) {
@@ -1138,46 +2858,99 @@ function startWatcher() {
         }
       }
 
-      console.log('New image detected:', filename);
-      mainWindow.webContents.send('new-image', filePath);
+      console.log(`New image detected on ${station.name}:`, filename);
+      // The profile's RAW types travel with the event so the renderer never keeps its own list
+      mainWindow.webContents.send('new-image', { stationId: station.id, filePath, rawExtensions: profile.rawExtensions });
     }
   });
-  
+
   watcher.on('error', (error) => {
-    console.log('Watcher error:', error);
+    console.log(`Watcher error (${station.name}):`, error);
+    scheduleWatcherRecovery(station.id);
+  });
+}
+
+// After a watcher error, restart it and scan for anything it missed (debounced per station)
+function scheduleWatcherRecovery(stationId) {
+  if (watcherRecoveryTimers.has(stationId)) return;
+
+  watcherRecoveryTimers.set(stationId, setTimeout(() => {
+    watcherRecoveryTimers.delete(stationId);
+    const station = getStation(stationId);
+    if (!station) return;
+
+    console.log(`Restarting watcher for ${station.name} after error`);
+    startWatcher(station);
+    runCatchUpScan('watcher-error');
+  }, 5000));
+}
+
+/**
+ * API key, gallery password and session, and the station sync key go to the credential store
+ * @returns {boolean} false when the store couldn't be written
+ */
+function saveCredentials() {
+  if (!credentialStore) return false;
+  const session = galleryClient ? galleryClient.getState() : null;
+  return credentialStore.setAll({
+    replicateApiKey: aiSettings.replicateApiKey,
+    galleryPassword: gallerySettings.password,
+    gallerySession: session && (session.accessToken || session.refreshToken) ? session : null,
+    stationSyncKey: stationSync ? stationSync.settings.accessKey : null
   });
 }
 
 function saveSettings() {
   const settingsPath = path.join(app.getPath('userData'), 'settings.json');
+
+  // Secrets leave settings.json only once the credential store holds them - if it can't be
+  // written they stay in plaintext (as older versions kept them) rather than being lost
+  const secured = saveCredentials();
+  if (!secured) {
+    console.error('Credential store not written - keeping secrets in settings.json');
+  }
+  const syncSettings = stationSync ? { ...stationSync.settings } : undefined;
+  if (syncSettings && secured) {
+    delete syncSettings.accessKey;
+  }
+
   const settingsData = {
-    watchFolder,
+    stations,
+    tetherProfile: tetherProfileId,
+    shootStationCode,
+    stationSync: syncSettings,
     outputFolder,
     sessionsFile,
     contactsFile,
-    replicateApiKey: aiSettings.replicateApiKey,
     processingEnabled: aiSettings.processingEnabled,
     autoProcessOnCapture: aiSettings.autoProcessOnCapture,
-    outputPortrait: aiSettings.outputPortrait,
-    outputSquare: aiSettings.outputSquare,
+    outputFormats: aiSettings.outputFormats,
+    framingProfile: aiSettings.framingProfile,
     faceEnhancement: aiSettings.faceEnhancement,
     skinSmoothing: aiSettings.skinSmoothing,
     shineRemoval: aiSettings.shineRemoval,
     upscaling: aiSettings.upscaling,
     backgroundRemoval: aiSettings.backgroundRemoval,
     backgroundColor: aiSettings.backgroundColor,
+    idPhotoRules: aiSettings.idPhotoRules,
+    idPhotoPrintSheet: aiSettings.idPhotoPrintSheet,
     // Gallery settings
     galleryUsername: gallerySettings.username,
-    galleryPassword: gallerySettings.password,
     galleryAutoUpload: gallerySettings.autoUpload,
     uploadPortrait: gallerySettings.uploadPortrait,
     uploadSquare: gallerySettings.uploadSquare,
     uploadTransparent: gallerySettings.uploadTransparent,
     lastGalleryId: gallerySettings.lastGalleryId,
-    lastGalleryName: gallerySettings.lastGalleryName
+    lastGalleryName: gallerySettings.lastGalleryName,
+    replicateApiKey: secured ? undefined : aiSettings.replicateApiKey,
+    galleryPassword: secured ? undefined : gallerySettings.password
   };
   console.log('Saving settings to:', settingsPath);
-  console.log('API key length being saved:', aiSettings.replicateApiKey?.length || 0);
   fs.writeFileSync(settingsPath, JSON.stringify(settingsData));
   console.log('Settings saved successfully');
+
+  // Keep the active event in step with folder, preset and gallery changes
+  if (eventStore && eventStore.getActive()) {
+    eventStore.update(eventStore.getActive().id, getEventSnapshot());
+  }
 }
@@ -0,0 +1,228 @@
+/**
+ * Output Formats
+ * The crops each headshot is delivered in. The defaults are the original 4:5 portrait and
+ * square; events can add their own (a 1:1 400px avatar, a 2:3 badge photo, a 16:9 banner...).
+ * Each format sets its aspect ratio or exact pixel size, how tightly it frames the face,
+ * where the face sits, its file name suffix and type, and whether it gets the transparent
+ * (-TP) and background colour (-BG) cut-outs.
+ */
+
+const FILE_TYPES = ['jpg', 'png'];
+
+// Built-in formats. Their ids keep the queue item fields and manifest keys older versions wrote.
+const DEFAULT_FORMATS = [
+  {
+    id: 'portrait',
+    label: '4:5 Portrait',
+    aspect: '4:5',
+    width: null,
+    height: null,
+    framing: 3.5,          // Crop height as a multiple of the face height - lower is tighter
+    facePosition: 0.35,    // Face centre (nose) as a fraction of the crop height from the top
+    suffix: '4x5',
+    fileType: 'jpg',
+    transparent: true,
+    background: true,
+    enabled: true
+  },
+  {
+    id: 'square',
+    label: 'Square',
+    aspect: '1:1',
+    width: null,
+    height: null,
+    framing: 3.0,
+    facePosition: 0.38,
+    suffix: 'SQR',
+    fileType: 'jpg',
+    transparent: true,
+    background: true,
+    enabled: true
+  }
+];
+
+// headshot_sessions.csv columns the built-in formats have always been written to; other
+// formats get format_<id>_path and format_<id>_transparent_path
+const LEGACY_CSV_COLUMNS = {
+  portrait: { main: 'enhanced_jpeg_path', transparent: 'enhanced_png_path' },
+  square: { main: 'enhanced_square_jpg_path', transparent: 'enhanced_square_png_path' }
+};
+const CSV_COLUMN_PATTERN = /^format_[a-z][a-z0-9]*_(path|transparent_path)$/;
+
+const MAX_FORMATS = 12;
+const FRAMING_RANGE = [1.5, 10];
+const FACE_POSITION_RANGE = [0.15, 0.6];
+const SIZE_RANGE = [100, 10000];
+const SUFFIX_PATTERN = /^[A-Za-z0-9_]+$/;
+const ID_PATTERN = /^[a-z][a-z0-9]*$/;
+
+// "3:2", "3x2" or "1.5" -> 1.5 (null when it can't be read)
+function parseAspect(aspect) {
+  const text = String(aspect || '').trim();
+  const pair = text.match(/^(\d+(?:\.\d+)?)\s*[:x/]\s*(\d+(?:\.\d+)?)$/i);
+  const ratio = pair ? parseFloat(pair[1]) / parseFloat(pair[2]) : parseFloat(text);
+  return Number.isFinite(ratio) && ratio > 0 && /^[\d.:x/\s]+$/i.test(text) ? ratio : null;
+}
+
+// "Badge 2x3" -> badge2x3
+function idFromSuffix(suffix) {
+  return String(suffix || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '')
+    .replace(/^[^a-z]+/, '') || 'format';
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+function normalizeFormat(format) {
+  const builtIn = DEFAULT_FORMATS.find(f => f.id === format.id);
+  const defaults = builtIn || DEFAULT_FORMATS[0];
+  const suffix = String(format.suffix === undefined ? defaults.suffix : format.suffix).trim();
+  const framing = toNumber(format.framing);
+  const facePosition = toNumber(format.facePosition);
+
+  return {
+    id: builtIn ? builtIn.id : (format.id || idFromSuffix(suffix)),
+    label: String(format.label || '').trim() || suffix,
+    aspect: String(format.aspect || '').trim() || defaults.aspect,
+    width: toNumber(format.width),
+    height: toNumber(format.height),
+    framing: framing === null ? defaults.framing : framing,
+    facePosition: facePosition === null ? defaults.facePosition : facePosition,
+    suffix,
+    fileType: FILE_TYPES.includes(format.fileType) ? format.fileType : 'jpg',
+    transparent: format.transparent !== false,
+    background: format.background !== false,
+    enabled: format.enabled !== false
+  };
+}
+
+/**
+ * Output formats from an enhancement preset
+ * Presets saved before formats were configurable only had the outputPortrait/outputSquare
+ * toggles - those become the defaults, switched on or off to match.
+ */
+function fromOptions(options = {}) {
+  if (Array.isArray(options.outputFormats) && options.outputFormats.length > 0) {
+    return options.outputFormats.map(normalizeFormat);
+  }
+  return DEFAULT_FORMATS.map(format => ({
+    ...format,
+    enabled: format.id === 'portrait' ? options.outputPortrait !== false : options.outputSquare !== false
+  }));
+}
+
+// Width / height as a number: an exact pixel size wins over the aspect field
+function aspectRatioOf(format) {
+  if (format.width && format.height) {
+    return format.width / format.height;
+  }
+  return parseAspect(format.aspect);
+}
+
+function inRange(value, [min, max]) {
+  return Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Check a format list before it's saved
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateFormats(formats) {
+  const errors = [];
+  const list = Array.isArray(formats) ? formats.map(normalizeFormat) : [];
+
+  if (list.length > MAX_FORMATS) {
+    errors.push(`At most ${MAX_FORMATS} output formats`);
+  }
+  if (!list.some(format => format.enabled)) {
+    errors.push('Enable at least one output format');
+  }
+
+  const ids = new Set();
+  const suffixes = new Set();
+  for (const format of list) {
+    const name = format.label || format.suffix || 'Unnamed format';
+    if (!ID_PATTERN.test(format.id)) {
+      errors.push(`${name}: invalid id "${format.id}"`);
+    } else if (ids.has(format.id)) {
+      errors.push(`${name}: id "${format.id}" is used twice`);
+    }
+    ids.add(format.id);
+
+    if (!SUFFIX_PATTERN.test(format.suffix)) {
+      errors.push(`${name}: file suffix must use only letters, numbers and underscores`);
+    } else if (suffixes.has(format.suffix.toLowerCase())) {
+      errors.push(`${name}: file suffix "${format.suffix}" is used twice`);
+    }
+    suffixes.add(format.suffix.toLowerCase());
+
+    const hasWidth = format.width !== null;
+    const hasHeight = format.height !== null;
+    if (hasWidth !== hasHeight) {
+      errors.push(`${name}: set both width and height, or neither`);
+    } else if (hasWidth && (!Number.isInteger(format.width) || !Number.isInteger(format.height) ||
+        !inRange(format.width, SIZE_RANGE) || !inRange(format.height, SIZE_RANGE))) {
+      errors.push(`${name}: width and height must be whole numbers from ${SIZE_RANGE[0]} to ${SIZE_RANGE[1]} pixels`);
+    } else if (!hasWidth && !parseAspect(format.aspect)) {
+      errors.push(`${name}: aspect ratio must look like 4:5 or 1.5`);
+    }
+
+    if (!inRange(format.framing, FRAMING_RANGE)) {
+      errors.push(`${name}: framing must be from ${FRAMING_RANGE[0]} to ${FRAMING_RANGE[1]} face heights`);
+    }
+    if (!inRange(format.facePosition, FACE_POSITION_RANGE)) {
+      errors.push(`${name}: face position must be from ${FACE_POSITION_RANGE[0]} to ${FACE_POSITION_RANGE[1]}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * headshot_sessions.csv columns for a format's finished file and transparent cut-out
+ * @returns {{ main: string, transparent: string }}
+ */
+function csvColumns(format) {
+  return LEGACY_CSV_COLUMNS[format.id] || {
+    main: `format_${format.id}_path`,
+    transparent: `format_${format.id}_transparent_path`
+  };
+}
+
+/**
+ * Sessions CSV values for a processed item's outputs, one pair of columns per format
+ * @param {object[]} formats - The item's output formats (fromOptions)
+ * @param {object} formatOutputs - item.formatOutputs, or {} to clear every format's paths
+ */
+function csvValues(formats, formatOutputs = {}) {
+  const values = {};
+  for (const format of formats) {
+    const columns = csvColumns(format);
+    const outputs = formatOutputs[format.id] || {};
+    values[columns.main] = outputs.main || '';
+    values[columns.transparent] = outputs.transparent || '';
+  }
+  return values;
+}
+
+// Whether a sessions CSV column holds an output path (including formats since removed)
+function isOutputColumn(column) {
+  return CSV_COLUMN_PATTERN.test(column) ||
+    Object.values(LEGACY_CSV_COLUMNS).some(columns => column === columns.main || column === columns.transparent);
+}
+
+module.exports = {
+  FILE_TYPES,
+  DEFAULT_FORMATS,
+  normalizeFormat,
+  fromOptions,
+  aspectRatioOf,
+  validateFormats,
+  csvColumns,
+  csvValues,
+  isOutputColumn
+};
@@ -0,0 +1,143 @@
+/**
+ * Processing Pipeline Steps
+ * The built-in steps HeadshotProcessor runs for each output format. Each step declares:
+ *   name     - id used in the pipeline's step order
+ *   label    - shown in the processing log
+ *   config   - the enhancement option that drives it and its type (choice, boolean, color);
+ *              null for steps that always run
+ *   input    - 'source' (the working image) or 'image' (the previous step's result, unless the
+ *              pipeline's step order points it at a named output)
+ *   output   - file type written ('jpg', 'png', or 'format' for the output format's own type)
+ *   run(ctx) - writes ctx.outputPath from ctx.inputPath and returns true, or false when the
+ *              step had nothing to do (the previous image carries on unchanged). Throws on failure.
+ * ctx holds { processor, client, format, value, inputPath, outputPath, faceData }.
+ */
+
+const framing = require('./framing');
+
+const LEVELS = ['off', 'low', 'medium', 'high'];
+
+// Run a Replicate model and download its result to ctx.outputPath
+async function runRemote(ctx, label, call) {
+  const result = await call();
+  if (!result.success && !result.skipped) {
+    throw new Error(`${label} failed: ${result.error}`);
+  }
+  if (!result.url) {
+    return false;
+  }
+  const download = await ctx.client.downloadImage(result.url, ctx.outputPath);
+  if (!download.success) {
+    throw new Error(`Failed to download ${label.toLowerCase()} result: ${download.error}`);
+  }
+  return true;
+}
+
+// The framing profile is shared by every format, so heads match across an event's photos
+const crop = {
+  name: 'crop',
+  label: 'Smart crop',
+  config: { option: 'framingProfile', type: 'choice', values: Object.keys(framing.PROFILES), default: framing.DEFAULT_PROFILE },
+  input: 'source',
+  output: 'jpg',
+  async run(ctx) {
+    await ctx.processor.applySmartCropAndCorrection(ctx.inputPath, ctx.outputPath, ctx.faceData, ctx.format, ctx.value);
+    return true;
+  }
+};
+
+const faceEnhancement = {
+  name: 'faceEnhancement',
+  label: 'Face enhancement',
+  config: { option: 'faceEnhancement', type: 'choice', values: LEVELS, default: 'medium' },
+  input: 'image',
+  output: 'jpg',
+  run: (ctx) => runRemote(ctx, 'Face enhancement', () => ctx.client.enhanceFace(ctx.inputPath, ctx.value))
+};
+
+const skinSmoothing = {
+  name: 'skinSmoothing',
+  label: 'Skin smoothing',
+  config: { option: 'skinSmoothing', type: 'choice', values: LEVELS, default: 'off' },
+  input: 'image',
+  output: 'jpg',
+  run: (ctx) => runRemote(ctx, 'Skin smoothing', () => ctx.client.smoothSkin(ctx.inputPath, ctx.value))
+};
+
+// Local processing, no API call
+const shineRemoval = {
+  name: 'shineRemoval',
+  label: 'Shine removal',
+  config: { option: 'shineRemoval', type: 'choice', values: LEVELS, default: 'off' },
+  input: 'image',
+  output: 'jpg',
+  async run(ctx) {
+    await ctx.processor.removeShine(ctx.inputPath, ctx.outputPath, ctx.value);
+    return true;
+  }
+};
+
+const upscaling = {
+  name: 'upscaling',
+  label: 'Upscaling',
+  config: { option: 'upscaling', type: 'choice', values: ['off', '2x', '4x'], default: 'off' },
+  input: 'image',
+  output: 'jpg',
+  run: (ctx) => runRemote(ctx, 'Upscaling', () => ctx.client.upscaleImage(ctx.inputPath, ctx.value))
+};
+
+// Write the enhanced image out as a finished file, at the format's pixel size and file type
+const save = {
+  name: 'save',
+  label: 'Saving',
+  config: null,
+  input: 'image',
+  output: 'format',
+  async run(ctx) {
+    await ctx.processor.writeOutput(ctx.inputPath, ctx.outputPath, ctx.format);
+    return true;
+  }
+};
+
+const backgroundRemoval = {
+  name: 'backgroundRemoval',
+  label: 'Removing background',
+  config: { option: 'backgroundRemoval', type: 'boolean', default: true },
+  input: 'image',
+  output: 'png',
+  async run(ctx) {
+    const result = await ctx.client.removeBackground(ctx.inputPath);
+    if (!result.success) {
+      throw new Error(`Background removal failed: ${result.error}`);
+    }
+    const download = await ctx.client.downloadImage(result.url, ctx.outputPath);
+    if (!download.success) {
+      throw new Error(`Failed to download transparent PNG: ${download.error}`);
+    }
+    return true;
+  }
+};
+
+// A failed colour fill leaves the transparent PNG as the only cut-out - not worth failing the photo
+const backgroundColor = {
+  name: 'backgroundColor',
+  label: 'Adding background color',
+  config: { option: 'backgroundColor', type: 'color', default: '' },
+  input: 'image',
+  output: 'jpg',
+  async run(ctx) {
+    const result = await ctx.client.addBackgroundColor(ctx.inputPath, ctx.outputPath, ctx.value);
+    return !!result.success;
+  }
+};
+
+module.exports = [
+  crop,
+  faceEnhancement,
+  skinSmoothing,
+  shineRemoval,
+  upscaling,
+  save,
+  backgroundRemoval,
+  backgroundColor
+];
@@ -0,0 +1,186 @@
+/**
+ * Processing Pipeline
+ * The order of processing steps, as data. HeadshotProcessor runs every enabled output format
+ * (see output-formats.js) through STEP_ORDER, so adding a step means registering a step module
+ * (see pipeline-steps.js) and listing it in STEP_ORDER - the loop that runs them doesn't change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const builtInSteps = require('./pipeline-steps');
+const outputFormats = require('./output-formats');
+
+// 'format' writes the output format's own file type
+const FILE_TYPES = ['jpg', 'png', 'format'];
+const INPUTS = ['source', 'image'];
+
+// Check and normalise an enhancement option value for a step's config type
+const CONFIG_TYPES = {
+  choice: (value, config) => (config.values.includes(value) ? value : config.default),
+  boolean: (value, config) => (value === undefined || value === null ? config.default : !!value),
+  color: (value, config) => (/^#[0-9A-Fa-f]{6}$/.test(value || '') ? value : config.default)
+};
+
+/**
+ * Queue item fields the built-in formats' outputs were recorded in before formats were
+ * configurable - still filled in for the sessions CSV and older readers. Every format's
+ * outputs are also recorded in item.formatOutputs[format.id].
+ */
+const LEGACY_OUTPUT_FIELDS = {
+  portrait: { main: 'enhancedJpegPath', transparent: 'transparentPngPath', background: 'coloredJpegPath' },
+  square: { main: 'enhancedSquarePath', transparent: 'transparentSquarePngPath', background: 'coloredSquareJpegPath' }
+};
+
+/**
+ * Steps run for every format, in order. Each step works on the previous step's image in a
+ * temp file; entries with an output write a finished file instead,
+ * Processed/<baseName>-<format suffix><fileSuffix>.<jpg|png>. input starts a step from an
+ * earlier named output rather than the previous image - it's skipped if that wasn't produced.
+ * variant names the output format flag that has to be on for the step to run.
+ */
+const STEP_ORDER = [
+  { step: 'crop' },
+  { step: 'faceEnhancement' },
+  { step: 'skinSmoothing' },
+  { step: 'shineRemoval' },
+  { step: 'upscaling' },
+  { step: 'save', output: 'main', fileSuffix: '' },
+  { step: 'backgroundRemoval', input: 'main', output: 'transparent', fileSuffix: '-TP', variant: 'transparent' },
+  { step: 'backgroundColor', input: 'transparent', output: 'background', fileSuffix: '-BG', variant: 'background' }
+];
+
+const steps = new Map();
+
+/**
+ * Add a step module (or replace one with the same name)
+ */
+function registerStep(step) {
+  if (!step || !step.name || typeof step.run !== 'function') {
+    throw new Error('A pipeline step needs a name and a run function');
+  }
+  if (!INPUTS.includes(step.input)) {
+    throw new Error(`Step ${step.name}: input must be one of ${INPUTS.join(', ')}`);
+  }
+  if (!FILE_TYPES.includes(step.output)) {
+    throw new Error(`Step ${step.name}: output must be one of ${FILE_TYPES.join(', ')}`);
+  }
+  if (step.config && !CONFIG_TYPES[step.config.type]) {
+    throw new Error(`Step ${step.name}: unknown config type ${step.config.type}`);
+  }
+  steps.set(step.name, step);
+}
+
+function getStep(name) {
+  const step = steps.get(name);
+  if (!step) {
+    throw new Error(`Unknown pipeline step: ${name}`);
+  }
+  return step;
+}
+
+// A step's setting from the enhancement options (true for steps without a config)
+function resolveConfig(step, options) {
+  if (!step.config) return true;
+  return CONFIG_TYPES[step.config.type](options[step.config.option], step.config);
+}
+
+function isEnabled(value) {
+  return value !== false && value !== 'off' && value !== '';
+}
+
+// Enabled output formats from the enhancement options, with their numeric aspect ratio
+function enabledFormats(options) {
+  return outputFormats.fromOptions(options)
+    .filter(format => format.enabled)
+    .map(format => ({ ...format, aspectRatio: outputFormats.aspectRatioOf(format) }));
+}
+
+/**
+ * Run one format through every enabled step
+ * @param {object} context - { processor, client, item, options, workingImagePath, faceData,
+ *   processedFolder, tempFiles (temp paths are added for the caller to clean up), log }
+ * @returns {Promise<object>} Finished file paths keyed by output name (main, transparent, background)
+ */
+async function runFormat(format, context) {
+  const { item, options, workingImagePath, processedFolder, tempFiles, log } = context;
+  const outputs = {};
+  let current = workingImagePath;
+
+  for (const entry of STEP_ORDER) {
+    if (entry.variant && !format[entry.variant]) continue;
+    const step = getStep(entry.step);
+    const value = resolveConfig(step, options);
+    if (!isEnabled(value)) continue;
+
+    const inputPath = entry.input ? outputs[entry.input] : (step.input === 'source' ? workingImagePath : current);
+    if (!inputPath) continue;
+
+    // The capture was moved or deleted - don't spend more API calls on it
+    if (item.cancelled) {
+      throw new Error('Cancelled');
+    }
+
+    const fileType = step.output === 'format' ? format.fileType : step.output;
+    const outputPath = entry.output
+      ? path.join(processedFolder, `${item.baseName}-${format.suffix}${entry.fileSuffix || ''}.${fileType}`)
+      : path.join(item.outputFolder, `${item.baseName}_temp_${format.id}_${step.name}.${fileType}`);
+    if (!entry.output) {
+      tempFiles.push(outputPath);
+    }
+
+    log(`${step.label} (${format.label})${typeof value === 'string' ? ` - ${value}` : ''}...`, 'step');
+    const produced = await step.run({
+      processor: context.processor,
+      client: context.client,
+      format,
+      value,
+      inputPath,
+      outputPath,
+      faceData: context.faceData
+    });
+    if (!produced) continue;
+
+    current = outputPath;
+    if (entry.output) {
+      outputs[entry.output] = outputPath;
+    }
+  }
+  return outputs;
+}
+
+/**
+ * Run every enabled format, removing temp files afterwards (even when a step fails)
+ * @returns {Promise<object>} { formatOutputs: { [format id]: { main, transparent, background } } }
+ *   plus the legacy item fields for the built-in formats
+ */
+async function runPipeline(context) {
+  const results = { formatOutputs: {} };
+  const tempFiles = [];
+  try {
+    for (const format of enabledFormats(context.options)) {
+      const outputs = await runFormat(format, { ...context, tempFiles });
+      results.formatOutputs[format.id] = outputs;
+      for (const [name, field] of Object.entries(LEGACY_OUTPUT_FIELDS[format.id] || {})) {
+        if (outputs[name]) results[field] = outputs[name];
+      }
+    }
+  } finally {
+    for (const tempFile of tempFiles) {
+      if (fs.existsSync(tempFile)) {
+        try { fs.unlinkSync(tempFile); } catch (e) { /* ignore */ }
+      }
+    }
+  }
+  return results;
+}
+
+builtInSteps.forEach(registerStep);
+
+module.exports = {
+  LEGACY_OUTPUT_FIELDS,
+  STEP_ORDER,
+  registerStep,
+  getStep,
+  enabledFormats,
+  runPipeline
+};
@@ -8,13 +8,14 @@ const path = require('path');
 const sharp = require('sharp');
 const smartcrop = require('smartcrop-sharp');
 const ReplicateClient = require('./replicate');
-
-// Headshot cropping constants
-const HEADSHOT_ASPECT_RATIO = 4 / 5;  // Standard headshot ratio (4:5)
-const SQUARE_ASPECT_RATIO = 1;         // 1:1 for square output
-const FACE_POSITION_FROM_TOP = 0.35;   // Face should be ~35% from top
-const MIN_HEAD_ROOM = 0.08;            // Minimum 8% space above head
-const SHOULDER_ROOM = 0.25;            // Include ~25% below face for shoulders
+const sessionManifest = require('./session-manifest');
+const { updateCsvRows, ensureCsvColumns } = require('./csv');
+const pipeline = require('./pipeline');
+const outputFormats = require('./output-formats');
+const idPhoto = require('./id-photo');
+const { RAW_EXTENSIONS } = require('./tether-sources');
+const FaceDetector = require('./face-detector');
+const framing = require('./framing');
 
 class HeadshotProcessor {
   constructor(app) {
@@ -28,20 +29,27 @@ class HeadshotProcessor {
     this.onStatusUpdate = null; // Callback for UI updates
     this.onLogMessage = null;   // Callback for log messages to UI
     this.onProcessingComplete = null; // Callback when item finishes processing
-    this.watchFolder = null; // Set by main.js for JPEG fallback lookup
+    this.onProcessingFailed = null; // Callback (item, error) when an item runs out of retries
+    this.onSessionsRowUpdate = null; // Callback (item, values) after a sessions CSV row is updated
+    this.watchFolders = []; // Set by main.js
+    this.sessionsFile = null; // headshot_sessions.csv, set by main.js for JPEG fallback lookup (one per camera station)
     this.queueFilePath = path.join(app.getPath('userData'), 'processing_queue.json');
     this.stopRequested = false; // Flag to stop processing after current item
+    this.resolveEventSettings = null; // Set by main.js: (eventId) => { enhancementOptions, sessionsFile } for a non-active event
+    this.faceDetector = new FaceDetector(); // Loads its model on first use
 
     // Enhancement options with scalable intensity controls
     this.enhancementOptions = {
-      outputPortrait: true,
-      outputSquare: true,
+      outputFormats: outputFormats.DEFAULT_FORMATS,
       faceEnhancement: 'medium',    // off, low, medium, high
       skinSmoothing: 'off',         // off, low, medium, high
       shineRemoval: 'off',          // off, low, medium, high - reduces oily skin shine
       upscaling: 'off',             // off, 2x, 4x
       backgroundRemoval: true,
-      backgroundColor: ''           // Empty = transparent, or hex like '#FFFFFF'
+      backgroundColor: '',          // Empty = transparent, or hex like '#FFFFFF'
+      framingProfile: framing.DEFAULT_PROFILE, // Eye line and head size for every crop (see framing.js)
+      idPhotoRules: 'off',          // off, or a passport/ID rule set in id-photo.js (AU, US, UK, EU)
+      idPhotoPrintSheet: true       // 6x4" print sheet alongside each ID photo
     };
 
     // Load persisted queue on startup
@@ -49,10 +57,51 @@ class HeadshotProcessor {
   }
 
   /**
-   * Set the watch folder path for JPEG fallback lookup
+   * Set the watch folder paths for JPEG fallback lookup
+   */
+  setWatchFolders(folders) {
+    this.watchFolders = folders.filter(Boolean);
+  }
+
+  /**
+   * Set the sessions CSV whose rows get processing results written back
+   */
+  setSessionsFile(sessionsFile) {
+    this.sessionsFile = sessionsFile || null;
+  }
+
+  /**
+   * Write an item's processing result into its headshot_sessions.csv row (matched on new_path)
    */
-  setWatchFolder(folder) {
-    this.watchFolder = folder;
+  updateSessionsRow(item, status, error = null) {
+    const { sessionsFile, enhancementOptions } = this.getItemSettings(item);
+    if (!sessionsFile || !fs.existsSync(sessionsFile)) {
+      return;
+    }
+
+    try {
+      const resolved = path.resolve(item.sourcePath);
+      const formats = outputFormats.fromOptions(enhancementOptions);
+      const values = {
+        processing_status: status,
+        ...outputFormats.csvValues(formats, status === 'completed' ? item.formatOutputs : {}),
+        processing_timestamp: new Date().toISOString(),
+        processing_error: error || ''
+      };
+      // Formats added since the file was created get their columns now
+      ensureCsvColumns(sessionsFile, Object.keys(values));
+      const updated = updateCsvRows(sessionsFile, row => row.new_path && path.resolve(row.new_path) === resolved, row => ({
+        ...row,
+        ...values
+      }));
+      if (updated === 0) {
+        console.log('No sessions CSV row found for', path.basename(item.sourcePath));
+      } else if (this.onSessionsRowUpdate) {
+        this.onSessionsRowUpdate(item, values);
+      }
+    } catch (err) {
+      console.error('Error updating sessions CSV:', err.message);
+    }
   }
 
   /**
@@ -83,6 +132,23 @@ class HeadshotProcessor {
     console.log('Enhancement options updated:', this.enhancementOptions);
   }
 
+  /**
+   * Enhancement preset and sessions CSV for a queued item
+   * Items queued under another event (e.g. reprocessing a past event) use that event's settings
+   */
+  getItemSettings(item) {
+    const eventSettings = item.eventId && this.resolveEventSettings
+      ? this.resolveEventSettings(item.eventId)
+      : null;
+    if (!eventSettings) {
+      return { enhancementOptions: this.enhancementOptions, sessionsFile: this.sessionsFile };
+    }
+    return {
+      enhancementOptions: { ...this.enhancementOptions, ...eventSettings.enhancementOptions },
+      sessionsFile: eventSettings.sessionsFile || null
+    };
+  }
+
   /**
    * Load queue from disk (for persistence across restarts)
    */
@@ -130,6 +196,7 @@ class HeadshotProcessor {
       outputFolder: item.outputFolder,
       shootNumber: item.shootNumber,
       baseName: item.baseName,
+      eventId: item.eventId || null,
       status: 'pending',
       retries: 0,
       addedAt: new Date().toISOString(),
@@ -138,6 +205,7 @@ class HeadshotProcessor {
 
     this.queue.push(queueItem);
     this.saveQueue();
+    this.recordManifestStatus(queueItem, 'pending');
     this.notifyStatusUpdate();
 
     // Start processing if not already running
@@ -148,6 +216,16 @@ class HeadshotProcessor {
     return queueItem.id;
   }
 
+  /**
+   * Whether a file is already waiting for or undergoing processing
+   */
+  isQueued(sourcePath) {
+    const resolved = path.resolve(sourcePath);
+    return this.queue.some(i =>
+      path.resolve(i.sourcePath) === resolved && (i.status === 'pending' || i.status === 'processing')
+    );
+  }
+
   /**
    * Get current queue status
    */
@@ -172,6 +250,17 @@ class HeadshotProcessor {
     };
   }
 
+  /**
+   * Mirror an item's processing state into its folder's session.json
+   */
+  recordManifestStatus(item, status, details = {}) {
+    sessionManifest.recordProcessing(item.outputFolder, item.shootNumber, item.baseName, {
+      status,
+      fileName: path.basename(item.sourcePath),
+      ...details
+    });
+  }
+
   /**
    * Notify UI of status changes
    */
@@ -211,6 +300,7 @@ class HeadshotProcessor {
     this.currentItem = nextItem;
     nextItem.status = 'processing';
     this.saveQueue();
+    this.recordManifestStatus(nextItem, 'processing', { settings: this.getItemSettings(nextItem).enhancementOptions });
     this.notifyStatusUpdate();
 
     const pendingCount = this.queue.filter(i => i.status === 'pending').length;
@@ -218,18 +308,24 @@ class HeadshotProcessor {
 
     try {
       await this.processHeadshot(nextItem);
+
+      // The capture was moved or deleted while it was being processed - throw the results away
+      if (nextItem.cancelled) {
+        throw new Error('Cancelled');
+      }
+
       nextItem.status = 'completed';
       nextItem.completedAt = new Date().toISOString();
+      this.recordManifestStatus(nextItem, 'completed', { settings: this.getItemSettings(nextItem).enhancementOptions, results: nextItem });
+      this.updateSessionsRow(nextItem, 'completed');
       this.log(`Completed: ${nextItem.baseName}`, 'success');
 
       // Trigger completion callback with output files for gallery upload
       if (this.onProcessingComplete) {
-        const outputFiles = [
-          nextItem.enhancedJpegPath,        // -4x5.jpg
-          nextItem.transparentPngPath,       // -4x5-TP.png
-          nextItem.enhancedSquarePath,       // -SQR.jpg
-          nextItem.transparentSquarePngPath  // -SQR-TP.png
-        ].filter(f => f && fs.existsSync(f));
+        // Each format's main file and transparent PNG (e.g. -4x5.jpg, -4x5-TP.png)
+        const outputFiles = Object.values(nextItem.formatOutputs || {})
+          .flatMap(outputs => [outputs.main, outputs.transparent])
+          .filter(f => f && fs.existsSync(f));
 
         this.onProcessingComplete({
           item: nextItem,
@@ -237,23 +333,32 @@ class HeadshotProcessor {
         });
       }
     } catch (error) {
-      console.error('Processing error:', error);
-      nextItem.error = error.message;
-      nextItem.retries++;
-
-      if (nextItem.retries >= this.maxRetries) {
-        nextItem.status = 'failed';
-        this.log(`Failed: ${nextItem.baseName} - ${error.message}`, 'error');
+      if (nextItem.cancelled) {
+        this.discardCancelledItem(nextItem);
       } else {
-        nextItem.status = 'pending';
-        this.log(`Retry ${nextItem.retries}/${this.maxRetries}: ${nextItem.baseName} - ${error.message}`, 'warning');
-        // Exponential backoff
-        await new Promise(resolve =>
-          setTimeout(resolve, Math.pow(2, nextItem.retries) * 1000)
-        );
+        console.error('Processing error:', error);
+        nextItem.error = error.message;
+        nextItem.retries++;
+
+        if (nextItem.retries >= this.maxRetries) {
+          nextItem.status = 'failed';
+          this.recordManifestStatus(nextItem, 'failed', { error: error.message });
+          this.updateSessionsRow(nextItem, 'failed', error.message);
+          this.log(`Failed: ${nextItem.baseName} - ${error.message}`, 'error');
+          if (this.onProcessingFailed) {
+            this.onProcessingFailed(nextItem, error.message);
+          }
+        } else {
+          nextItem.status = 'pending';
+          this.recordManifestStatus(nextItem, 'pending', { error: error.message });
+          this.log(`Retry ${nextItem.retries}/${this.maxRetries}: ${nextItem.baseName} - ${error.message}`, 'warning');
+          // Exponential backoff
+          await new Promise(resolve =>
+            setTimeout(resolve, Math.pow(2, nextItem.retries) * 1000)
+          );
+        }
       }
     }
-
     this.processing = false;
     this.currentItem = null;
     this.saveQueue();
@@ -286,7 +391,7 @@ class HeadshotProcessor {
     let workingImagePath;
     let tempFileCreated = false;
 
-    if (['.rw2', '.raw', '.arw', '.cr2', '.cr3', '.nef', '.orf', '.dng'].includes(ext)) {
+    if (RAW_EXTENSIONS.includes(ext)) {
       // Try to find existing JPEG in output folder
       const jpegInOutput = sourcePath.replace(new RegExp(ext + '$', 'i'), '.jpg');
       const jpegInOutputAlt = sourcePath.replace(new RegExp(ext + '$', 'i'), '.JPG');
@@ -297,24 +402,27 @@ class HeadshotProcessor {
       } else if (fs.existsSync(jpegInOutputAlt)) {
         workingImagePath = jpegInOutputAlt;
         console.log('Found JPEG in output folder:', workingImagePath);
-      } else if (this.watchFolder) {
-        // Try to find JPEG in watch folder - but ONLY if the filename matches
+      } else if (this.watchFolders.length > 0) {
+        // Try to find JPEG in watch folders - but ONLY if the filename matches
         // This is a fallback for initial processing when JPEG wasn't copied to output folder
         const originalBaseName = path.basename(sourcePath, ext);
 
         // For reprocessing, the file might be named like "20260120-001_Smith_John_01"
         // We should NOT grab random JPEGs from the watch folder
         // Only look for exact filename match (without extension)
-        const watchFiles = fs.existsSync(this.watchFolder) ? fs.readdirSync(this.watchFolder) : [];
-        const jpegFile = watchFiles.find(f => {
-          const watchBaseName = path.basename(f, path.extname(f));
-          // Only match if the base names are exactly equal (case-insensitive)
-          return f.toLowerCase().endsWith('.jpg') &&
-                 watchBaseName.toLowerCase() === originalBaseName.toLowerCase();
-        });
-        if (jpegFile) {
-          workingImagePath = path.join(this.watchFolder, jpegFile);
-          console.log('Found matching JPEG in watch folder:', workingImagePath);
+        for (const watchFolder of this.watchFolders) {
+          const watchFiles = fs.existsSync(watchFolder) ? fs.readdirSync(watchFolder) : [];
+          const jpegFile = watchFiles.find(f => {
+            const watchBaseName = path.basename(f, path.extname(f));
+            // Only match if the base names are exactly equal (case-insensitive)
+            return f.toLowerCase().endsWith('.jpg') &&
+                   watchBaseName.toLowerCase() === originalBaseName.toLowerCase();
+          });
+          if (jpegFile) {
+            workingImagePath = path.join(watchFolder, jpegFile);
+            console.log('Found matching JPEG in watch folder:', workingImagePath);
+            break;
+          }
         }
       }
 
@@ -339,254 +447,51 @@ class HeadshotProcessor {
     item.workingImagePath = workingImagePath;
 
     // Get enhancement options
-    const opts = this.enhancementOptions;
+    const opts = this.getItemSettings(item).enhancementOptions;
     console.log('Processing with options:', JSON.stringify(opts));
 
     // Check that at least one output is enabled
-    if (!opts.outputPortrait && !opts.outputSquare) {
-      throw new Error('No output formats enabled. Enable at least Portrait or Square in settings.');
+    if (pipeline.enabledFormats(opts).length === 0) {
+      throw new Error('No output formats enabled. Enable at least one in settings.');
     }
 
     // All AI-processed files go into a "Processed" subfolder
-    // Files are distinguished by suffix: -4x5, -4x5-TP, -SQR, -SQR-TP
+    // Files are distinguished by the format's suffix: -4x5, -4x5-TP, -SQR, -SQR-TP...
     const processedFolder = path.join(outputFolder, 'Processed');
     if (!fs.existsSync(processedFolder)) {
       fs.mkdirSync(processedFolder, { recursive: true });
     }
 
-    // Step 2: Detect face and calculate smart crop region
+    // Step 2: Detect face and calculate smart crop region (shared by every format's crop)
     this.log('Detecting face position...', 'step');
     const faceData = await this.detectFaceAndCrop(workingImagePath);
 
+    // Step 3: Run each output format through the pipeline steps (see pipeline.js)
     const client = new ReplicateClient(this.apiKey);
-    const tempFiles = [];
-    const results = {};
-
-    // Process Portrait (4:5) version if enabled
-    if (opts.outputPortrait) {
-      this.log('Creating 4:5 portrait crop...', 'step');
-      const croppedPath = path.join(outputFolder, `${baseName}_temp_cropped.jpg`);
-      tempFiles.push(croppedPath);
-
-      await this.applySmartCropAndCorrection(workingImagePath, croppedPath, faceData, HEADSHOT_ASPECT_RATIO);
-
-      let portraitImagePath = croppedPath;
-
-      // Face enhancement if enabled (scalable: off, low, medium, high)
-      if (opts.faceEnhancement && opts.faceEnhancement !== 'off') {
-        this.log(`Face enhancement (4:5) - ${opts.faceEnhancement}...`, 'step');
-        const enhanceResult = await client.enhanceFace(croppedPath, opts.faceEnhancement);
-        if (!enhanceResult.success && !enhanceResult.skipped) {
-          throw new Error(`Face enhancement failed: ${enhanceResult.error}`);
-        }
-        if (enhanceResult.url) {
-          const tempEnhancedPath = path.join(outputFolder, `${baseName}_temp_enhanced.jpg`);
-          tempFiles.push(tempEnhancedPath);
-          const downloadResult = await client.downloadImage(enhanceResult.url, tempEnhancedPath);
-          if (!downloadResult.success) {
-            throw new Error(`Failed to download enhanced image: ${downloadResult.error}`);
-          }
-          portraitImagePath = tempEnhancedPath;
-        }
-      }
-
-      // Skin smoothing if enabled (scalable: off, low, medium, high)
-      if (opts.skinSmoothing && opts.skinSmoothing !== 'off') {
-        this.log(`Skin smoothing (4:5) - ${opts.skinSmoothing}...`, 'step');
-        const skinResult = await client.smoothSkin(portraitImagePath, opts.skinSmoothing);
-        if (!skinResult.success && !skinResult.skipped) {
-          throw new Error(`Skin smoothing failed: ${skinResult.error}`);
-        }
-        if (skinResult.url) {
-          const tempSkinPath = path.join(outputFolder, `${baseName}_temp_skin.jpg`);
-          tempFiles.push(tempSkinPath);
-          const downloadResult = await client.downloadImage(skinResult.url, tempSkinPath);
-          if (!downloadResult.success) {
-            throw new Error(`Failed to download skin-smoothed image: ${downloadResult.error}`);
-          }
-          portraitImagePath = tempSkinPath;
-        }
-      }
-
-      // Shine removal if enabled (local processing, no API call)
-      if (opts.shineRemoval && opts.shineRemoval !== 'off') {
-        this.log(`Shine removal (4:5) - ${opts.shineRemoval}...`, 'step');
-        const tempShinePath = path.join(outputFolder, `${baseName}_temp_shine.jpg`);
-        tempFiles.push(tempShinePath);
-        await this.removeShine(portraitImagePath, tempShinePath, opts.shineRemoval);
-        portraitImagePath = tempShinePath;
-      }
-
-      // Upscaling if enabled (scalable: off, 2x, 4x)
-      if (opts.upscaling && opts.upscaling !== 'off') {
-        this.log(`Upscaling (4:5) - ${opts.upscaling}...`, 'step');
-        const upscaleResult = await client.upscaleImage(portraitImagePath, opts.upscaling);
-        if (!upscaleResult.success && !upscaleResult.skipped) {
-          throw new Error(`Upscaling failed: ${upscaleResult.error}`);
-        }
-        if (upscaleResult.url) {
-          const tempUpscalePath = path.join(outputFolder, `${baseName}_temp_upscale.jpg`);
-          tempFiles.push(tempUpscalePath);
-          const downloadResult = await client.downloadImage(upscaleResult.url, tempUpscalePath);
-          if (!downloadResult.success) {
-            throw new Error(`Failed to download upscaled image: ${downloadResult.error}`);
-          }
-          portraitImagePath = tempUpscalePath;
-        }
-      }
-
-      // Save final portrait JPEG with -4x5 suffix
-      this.log('Saving 4:5 portrait...', 'step');
-      const finalPortraitPath = path.join(processedFolder, `${baseName}-4x5.jpg`);
-      if (portraitImagePath !== croppedPath) {
-        fs.copyFileSync(portraitImagePath, finalPortraitPath);
-      } else {
-        fs.copyFileSync(croppedPath, finalPortraitPath);
-      }
-      results.enhancedJpegPath = finalPortraitPath;
-
-      // Background removal if enabled
-      if (opts.backgroundRemoval) {
-        this.log('Removing background (4:5)...', 'step');
-        const bgResult = await client.removeBackground(finalPortraitPath);
-        if (!bgResult.success) {
-          throw new Error(`Background removal failed: ${bgResult.error}`);
-        }
-        // Save with -4x5-TP suffix for transparent
-        const transparentPngPath = path.join(processedFolder, `${baseName}-4x5-TP.png`);
-        const pngDownloadResult = await client.downloadImage(bgResult.url, transparentPngPath);
-        if (!pngDownloadResult.success) {
-          throw new Error(`Failed to download transparent PNG: ${pngDownloadResult.error}`);
-        }
-        results.transparentPngPath = transparentPngPath;
-
-        // Add solid background color if specified
-        if (opts.backgroundColor && opts.backgroundColor.match(/^#[0-9A-Fa-f]{6}$/)) {
-          this.log(`Adding background color ${opts.backgroundColor}...`, 'step');
-          const coloredPath = path.join(processedFolder, `${baseName}-4x5-BG.jpg`);
-          const colorResult = await client.addBackgroundColor(transparentPngPath, coloredPath, opts.backgroundColor);
-          if (colorResult.success) {
-            results.coloredJpegPath = coloredPath;
-          }
-        }
-      }
-    }
-
-    // Process Square (1:1) version if enabled
-    if (opts.outputSquare) {
-      this.log('Creating square crop...', 'step');
-      const squarePath = path.join(outputFolder, `${baseName}_temp_square.jpg`);
-      tempFiles.push(squarePath);
-
-      await this.applySmartCropAndCorrection(workingImagePath, squarePath, faceData, SQUARE_ASPECT_RATIO);
-
-      let squareImagePath = squarePath;
-
-      // Face enhancement if enabled (scalable: off, low, medium, high)
-      if (opts.faceEnhancement && opts.faceEnhancement !== 'off') {
-        this.log(`Face enhancement (square) - ${opts.faceEnhancement}...`, 'step');
-        const enhanceResult = await client.enhanceFace(squarePath, opts.faceEnhancement);
-        if (!enhanceResult.success && !enhanceResult.skipped) {
-          throw new Error(`Square face enhancement failed: ${enhanceResult.error}`);
-        }
-        if (enhanceResult.url) {
-          const tempEnhancedPath = path.join(outputFolder, `${baseName}_temp_sq_enhanced.jpg`);
-          tempFiles.push(tempEnhancedPath);
-          const downloadResult = await client.downloadImage(enhanceResult.url, tempEnhancedPath);
-          if (!downloadResult.success) {
-            throw new Error(`Failed to download enhanced square image: ${downloadResult.error}`);
-          }
-          squareImagePath = tempEnhancedPath;
-        }
-      }
-
-      // Skin smoothing if enabled (scalable: off, low, medium, high)
-      if (opts.skinSmoothing && opts.skinSmoothing !== 'off') {
-        this.log(`Skin smoothing (square) - ${opts.skinSmoothing}...`, 'step');
-        const skinResult = await client.smoothSkin(squareImagePath, opts.skinSmoothing);
-        if (!skinResult.success && !skinResult.skipped) {
-          throw new Error(`Square skin smoothing failed: ${skinResult.error}`);
-        }
-        if (skinResult.url) {
-          const tempSkinPath = path.join(outputFolder, `${baseName}_temp_sq_skin.jpg`);
-          tempFiles.push(tempSkinPath);
-          const downloadResult = await client.downloadImage(skinResult.url, tempSkinPath);
-          if (!downloadResult.success) {
-            throw new Error(`Failed to download skin-smoothed square image: ${downloadResult.error}`);
-          }
-          squareImagePath = tempSkinPath;
-        }
-      }
-
-      // Shine removal if enabled (local processing, no API call)
-      if (opts.shineRemoval && opts.shineRemoval !== 'off') {
-        this.log(`Shine removal (square) - ${opts.shineRemoval}...`, 'step');
-        const tempShinePath = path.join(outputFolder, `${baseName}_temp_sq_shine.jpg`);
-        tempFiles.push(tempShinePath);
-        await this.removeShine(squareImagePath, tempShinePath, opts.shineRemoval);
-        squareImagePath = tempShinePath;
-      }
-
-      // Upscaling if enabled (scalable: off, 2x, 4x)
-      if (opts.upscaling && opts.upscaling !== 'off') {
-        this.log(`Upscaling (square) - ${opts.upscaling}...`, 'step');
-        const upscaleResult = await client.upscaleImage(squareImagePath, opts.upscaling);
-        if (!upscaleResult.success && !upscaleResult.skipped) {
-          throw new Error(`Square upscaling failed: ${upscaleResult.error}`);
-        }
-        if (upscaleResult.url) {
-          const tempUpscalePath = path.join(outputFolder, `${baseName}_temp_sq_upscale.jpg`);
-          tempFiles.push(tempUpscalePath);
-          const downloadResult = await client.downloadImage(upscaleResult.url, tempUpscalePath);
-          if (!downloadResult.success) {
-            throw new Error(`Failed to download upscaled square image: ${downloadResult.error}`);
-          }
-          squareImagePath = tempUpscalePath;
-        }
-      }
-
-      // Save final square JPEG with -SQR suffix
-      this.log('Saving square...', 'step');
-      const finalSquarePath = path.join(processedFolder, `${baseName}-SQR.jpg`);
-      if (squareImagePath !== squarePath) {
-        fs.copyFileSync(squareImagePath, finalSquarePath);
-      } else {
-        fs.copyFileSync(squarePath, finalSquarePath);
-      }
-      results.enhancedSquarePath = finalSquarePath;
-
-      // Background removal if enabled
-      if (opts.backgroundRemoval) {
-        this.log('Removing background (square)...', 'step');
-        const bgSquareResult = await client.removeBackground(finalSquarePath);
-        if (!bgSquareResult.success) {
-          throw new Error(`Square background removal failed: ${bgSquareResult.error}`);
-        }
-        // Save with -SQR-TP suffix for transparent
-        const transparentSquarePngPath = path.join(processedFolder, `${baseName}-SQR-TP.png`);
-        const squarePngDownloadResult = await client.downloadImage(bgSquareResult.url, transparentSquarePngPath);
-        if (!squarePngDownloadResult.success) {
-          throw new Error(`Failed to download transparent square PNG: ${squarePngDownloadResult.error}`);
-        }
-        results.transparentSquarePngPath = transparentSquarePngPath;
-
-        // Add solid background color if specified
-        if (opts.backgroundColor && opts.backgroundColor.match(/^#[0-9A-Fa-f]{6}$/)) {
-          this.log(`Adding background color (square) ${opts.backgroundColor}...`, 'step');
-          const coloredPath = path.join(processedFolder, `${baseName}-SQR-BG.jpg`);
-          const colorResult = await client.addBackgroundColor(transparentSquarePngPath, coloredPath, opts.backgroundColor);
-          if (colorResult.success) {
-            results.coloredSquareJpegPath = coloredPath;
-          }
-        }
-      }
-    }
+    const log = (message, type) => this.log(message, type);
+    const results = await pipeline.runPipeline({
+      processor: this,
+      client,
+      item,
+      options: opts,
+      workingImagePath,
+      faceData,
+      processedFolder,
+      log
+    });
 
-    // Clean up temp files
-    for (const tempFile of tempFiles) {
-      if (fs.existsSync(tempFile)) {
-        try { fs.unlinkSync(tempFile); } catch (e) { /* ignore */ }
-      }
+    // Step 4: Passport / ID photo with its compliance checklist (see id-photo.js)
+    results.idPhoto = null;
+    if (idPhoto.isEnabled(opts)) {
+      results.idPhoto = await idPhoto.processIdPhoto({
+        client,
+        item,
+        options: opts,
+        workingImagePath,
+        faceData,
+        processedFolder,
+        log
+      });
     }
 
     // Update item with output paths
@@ -598,11 +503,59 @@ class HeadshotProcessor {
   }
 
   /**
-   * Detect face/nose position using smartcrop and calculate optimal crop region
+   * Detect face/nose position and calculate optimal crop region
+   * Uses the landmark detector (eyes, nose, chin) and falls back to smartcrop when it
+   * isn't available or finds no face
    * Handles EXIF orientation to get correct dimensions
    * The nose (center of face) is used as the horizontal center reference
    */
   async detectFaceAndCrop(imagePath) {
+    let detected = null;
+    try {
+      detected = await this.faceDetector.detect(imagePath);
+    } catch (error) {
+      console.error('Face detection failed, using smartcrop:', error.message);
+    }
+    if (detected && detected.faces.length > 0) {
+      return this.faceDataFromLandmarks(detected);
+    }
+    if (detected) {
+      this.log('No face found by the landmark detector - estimating with smartcrop', 'warning');
+    }
+    return this.detectFaceWithSmartcrop(imagePath);
+  }
+
+  /**
+   * Face data from the landmark detector's largest face (the person nearest the camera)
+   * estimatedFaceHeight is the detected face box (brow to chin) rather than an estimate
+   */
+  faceDataFromLandmarks(detected) {
+    const face = detected.faces[0];
+    const { nose } = face.landmarks;
+
+    console.log(`Landmark detection: face (${Math.round(face.box.x)}, ${Math.round(face.box.y)}) ${Math.round(face.box.width)}x${Math.round(face.box.height)}, score ${face.score.toFixed(2)}, roll ${face.rollDegrees.toFixed(1)}°${detected.faces.length > 1 ? `, ${detected.faces.length} faces found` : ''}`);
+
+    return {
+      imageWidth: detected.imageWidth,
+      imageHeight: detected.imageHeight,
+      faceCenterX: nose.x,
+      faceCenterY: nose.y,
+      noseCenterX: nose.x,
+      noseCenterY: nose.y,
+      estimatedFaceHeight: face.box.height,
+      faceBox: face.box,
+      headBox: face.headBox,
+      landmarks: face.landmarks,
+      rollDegrees: face.rollDegrees,
+      faceCount: detected.faces.length,
+      source: 'landmarks'
+    };
+  }
+
+  /**
+   * Detect face/nose position using smartcrop (fallback when there are no landmarks)
+   */
+  async detectFaceWithSmartcrop(imagePath) {
     // First, create a properly oriented temp image for face detection
     // This ensures smartcrop works with the correct orientation
     const metadata = await sharp(imagePath).metadata();
@@ -677,87 +630,29 @@ class HeadshotProcessor {
       noseCenterY,
       estimatedFaceHeight,
       smartcropRegion: faceRegion,
-      wasRotated: needsRotation
+      wasRotated: needsRotation,
+      landmarks: null,
+      source: 'smartcrop'
     };
   }
 
   /**
    * Apply smart crop with proper headshot framing and color correction
    * Ensures person is centered horizontally in the frame
+   * @param {object} format - Output format: { aspectRatio, framing, facePosition } (see output-formats.js)
+   * @param {string} profileId - Framing profile (see framing.js): an eye line and head size
+   *   shared by the whole event, or 'format' for the format's own framing
    */
-  async applySmartCropAndCorrection(inputPath, outputPath, faceData, aspectRatio) {
-    const { imageWidth, imageHeight, faceCenterX, faceCenterY, estimatedFaceTop, estimatedFaceHeight } = faceData;
-
-    // Edge margin: stay this far from image edges to avoid backdrop corners
-    // 5% of the smaller dimension
-    const edgeMargin = Math.round(Math.min(imageWidth, imageHeight) * 0.05);
-
-    // Calculate safe crop area (excluding edge margins)
-    const safeWidth = imageWidth - (edgeMargin * 2);
-    const safeHeight = imageHeight - (edgeMargin * 2);
-
-    // Calculate crop dimensions based on desired aspect ratio
-    // Tighter framing to avoid backdrop edges
-    let cropHeight, cropWidth;
-
-    if (aspectRatio >= 1) {
-      // Square - tighter crop for head to upper chest
-      cropHeight = Math.min(estimatedFaceHeight * 3.0, safeHeight);
-      cropWidth = cropHeight * aspectRatio;
-    } else {
-      // Portrait (like 4:5) - tighter crop for head to chest/shoulders
-      cropHeight = Math.min(estimatedFaceHeight * 3.5, safeHeight);
-      cropWidth = cropHeight * aspectRatio;
-    }
-
-    // Ensure crop fits within safe area
-    if (cropWidth > safeWidth) {
-      cropWidth = safeWidth;
-      cropHeight = cropWidth / aspectRatio;
-    }
-    if (cropHeight > safeHeight) {
-      cropHeight = safeHeight;
-      cropWidth = cropHeight * aspectRatio;
+  async applySmartCropAndCorrection(inputPath, outputPath, faceData, format, profileId = framing.DEFAULT_PROFILE) {
+    const { imageWidth, imageHeight } = faceData;
+    const crop = framing.planCrop(faceData, format, profileId);
+    let { left: cropX, top: cropY, width: cropWidth, height: cropHeight } = crop;
+
+    console.log(`Cropping: ${cropWidth}x${cropHeight} at (${cropX}, ${cropY}) - ${crop.profile} framing, head ${Math.round(crop.headFraction * 100)}% of height, eye line ${Math.round(crop.eyeLine * 100)}% from top - aspect ratio: ${format.aspectRatio}`);
+    for (const warning of crop.warnings) {
+      this.log(`Framing (${format.label}): ${warning}`, 'warning');
     }
 
-    // Round dimensions
-    cropWidth = Math.round(cropWidth);
-    cropHeight = Math.round(cropHeight);
-
-    // HORIZONTAL: Center crop on the face center (nose) - this is the priority
-    let cropX = Math.round(faceCenterX - cropWidth / 2);
-
-    // VERTICAL: Position face center at a fixed percentage from top
-    // For good headshot framing, eyes should be ~1/3 from top
-    // Nose (face center) is slightly below eyes, so position at ~35% from top
-    // This naturally gives ~5-10% headroom above the head
-    const facePositionPercent = aspectRatio >= 1 ? 0.38 : 0.35; // Square vs portrait
-    const desiredFaceCenterY = cropHeight * facePositionPercent;
-
-    // Calculate crop Y so face center lands at the desired position
-    let cropY = Math.round(faceCenterY - desiredFaceCenterY);
-
-    // Clamp to safe bounds (with edge margin) to avoid backdrop corners
-    if (cropX < edgeMargin) {
-      console.log(`Adjusting crop to avoid left edge`);
-      cropX = edgeMargin;
-    } else if (cropX + cropWidth > imageWidth - edgeMargin) {
-      console.log(`Adjusting crop to avoid right edge`);
-      cropX = imageWidth - edgeMargin - cropWidth;
-    }
-
-    if (cropY < edgeMargin) {
-      cropY = edgeMargin;
-    } else if (cropY + cropHeight > imageHeight - edgeMargin) {
-      cropY = imageHeight - edgeMargin - cropHeight;
-    }
-
-    // Final safety check - ensure we're within actual image bounds
-    cropX = Math.max(0, Math.min(cropX, imageWidth - cropWidth));
-    cropY = Math.max(0, Math.min(cropY, imageHeight - cropHeight));
-
-    console.log(`Cropping: ${cropWidth}x${cropHeight} at (${cropX}, ${cropY}) - face center: (${Math.round(faceCenterX)}, ${Math.round(faceCenterY)}) - aspect ratio: ${aspectRatio}`);
-
     // First, create a properly oriented version of the image
     // This ensures all subsequent operations use correct coordinates
     const orientedTempPath = inputPath.replace(/\.[^.]+$/, `_oriented_${Date.now()}.jpg`);
@@ -936,6 +831,26 @@ class HeadshotProcessor {
     }
   }
 
+  /**
+   * Write a finished output: resized to the format's pixel size when it has one, in its file type
+   * The crop is already at the format's aspect ratio, so 'cover' only trims rounding differences
+   */
+  async writeOutput(inputPath, outputPath, format) {
+    if (!format.width && format.fileType === 'jpg') {
+      fs.copyFileSync(inputPath, outputPath);
+      return;
+    }
+
+    let image = sharp(inputPath);
+    if (format.width && format.height) {
+      image = image.resize(format.width, format.height, { fit: 'cover' });
+    }
+    image = format.fileType === 'png'
+      ? image.png()
+      : image.jpeg({ quality: 92, mozjpeg: true });
+    await image.toFile(outputPath);
+  }
+
   /**
    * Remove shine/oily highlights from skin
    * Uses highlight compression to reduce bright spots without affecting overall image
@@ -1076,6 +991,120 @@ class HeadshotProcessor {
     return null;
   }
 
+  /**
+   * Remove everything processing produced for a capture: Processed/ outputs plus any
+   * temp or converted files left next to the RAW
+   * @returns {string[]} Paths that were deleted
+   */
+  removeOutputs(outputFolder, baseName) {
+    const removed = [];
+    const candidates = [];
+
+    const processedFolder = path.join(outputFolder, 'Processed');
+    if (fs.existsSync(processedFolder)) {
+      fs.readdirSync(processedFolder)
+        .filter(f => f.startsWith(`${baseName}-`))
+        .forEach(f => candidates.push(path.join(processedFolder, f)));
+    }
+    if (fs.existsSync(outputFolder)) {
+      fs.readdirSync(outputFolder)
+        .filter(f => f.startsWith(`${baseName}_temp`) || f === `${baseName}_converted.jpg`)
+        .forEach(f => candidates.push(path.join(outputFolder, f)));
+    }
+
+    for (const filePath of candidates) {
+      try {
+        fs.unlinkSync(filePath);
+        removed.push(filePath);
+      } catch (e) {
+        console.log('Could not remove output:', filePath, e.message);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Drop an item that was cancelled mid-processing, deleting whatever it wrote
+   */
+  discardCancelledItem(item) {
+    this.removeOutputs(item.outputFolder, item.baseName);
+    this.queue = this.queue.filter(i => i.id !== item.id);
+    this.log(`Discarded: ${item.baseName} (capture was moved or deleted)`, 'warning');
+  }
+
+  /**
+   * Cancel all queue items for a capture that is being deleted or moved
+   * Waiting items are removed; an item being processed right now is flagged and
+   * discarded when its current step finishes
+   * @returns {{ removed: number, inFlight: boolean }}
+   */
+  cancelSource(sourcePath) {
+    const resolved = path.resolve(sourcePath);
+    const matches = this.queue.filter(i => path.resolve(i.sourcePath) === resolved);
+    let inFlight = false;
+
+    for (const item of matches) {
+      if (item === this.currentItem) {
+        item.cancelled = true;
+        inFlight = true;
+      }
+    }
+    const removable = matches.filter(i => i !== this.currentItem && i.status !== 'completed');
+    this.queue = this.queue.filter(i => !removable.includes(i));
+
+    this.saveQueue();
+    this.notifyStatusUpdate();
+    return { removed: removable.length, inFlight };
+  }
+
+  /**
+   * Drop every queue item for a session folder whose personal data is being purged,
+   * completed ones included (their paths carry the person's name). An item being
+   * processed right now is flagged and discarded when its current step finishes
+   * @returns {number} Number of items removed or cancelled
+   */
+  purgeFolder(folder) {
+    const resolved = path.resolve(folder);
+    const matches = this.queue.filter(i => i.outputFolder && path.resolve(i.outputFolder) === resolved);
+
+    for (const item of matches) {
+      if (item === this.currentItem) item.cancelled = true;
+    }
+    this.queue = this.queue.filter(i => !matches.includes(i) || i === this.currentItem);
+
+    this.saveQueue();
+    this.notifyStatusUpdate();
+    return matches.length;
+  }
+
+  /**
+   * Point waiting queue items at a capture's new location after it moved to another session
+   * @param {string} oldSourcePath - Where the RAW used to be
+   * @param {object} target - { sourcePath, outputFolder, shootNumber, baseName }
+   * @returns {number} Number of pending/failed items retargeted
+   */
+  retargetSource(oldSourcePath, target) {
+    const resolved = path.resolve(oldSourcePath);
+    let retargeted = 0;
+
+    for (const item of this.queue) {
+      if (path.resolve(item.sourcePath) !== resolved) continue;
+      if (item.status !== 'pending' && item.status !== 'failed') continue;
+
+      item.sourcePath = target.sourcePath;
+      item.outputFolder = target.outputFolder;
+      item.shootNumber = target.shootNumber;
+      item.baseName = target.baseName;
+      retargeted++;
+    }
+
+    if (retargeted > 0) {
+      this.saveQueue();
+      this.notifyStatusUpdate();
+    }
+    return retargeted;
+  }
+
   /**
    * Retry a failed item
    */
@@ -1085,6 +1114,7 @@ class HeadshotProcessor {
       item.status = 'pending';
       item.retries = 0;
       item.error = null;
+      this.recordManifestStatus(item, 'pending');
       this.saveQueue();
       this.notifyStatusUpdate();
 
@@ -1104,6 +1134,7 @@ class HeadshotProcessor {
         item.status = 'pending';
         item.retries = 0;
         item.error = null;
+        this.recordManifestStatus(item, 'pending');
       });
 
     this.saveQueue();
@@ -1149,6 +1180,7 @@ class HeadshotProcessor {
     if (this.processing && this.currentItem) {
       this.currentItem.status = 'pending';
       this.currentItem.retries = 0;
+      this.recordManifestStatus(this.currentItem, 'pending');
       console.log('Stop requested - current item returned to pending');
     }
 
@@ -1174,6 +1206,11 @@ class HeadshotProcessor {
     const pendingCount = this.queue.filter(i => i.status === 'pending' || i.status === 'processing').length;
     const failedCount = this.queue.filter(i => i.status === 'failed').length;
 
+    // Cleared items are no longer waiting for processing
+    this.queue
+      .filter(i => i.status === 'pending' || i.status === 'processing' || (clearFailed && i.status === 'failed'))
+      .forEach(item => this.recordManifestStatus(item, 'not-queued'));
+
     if (clearFailed) {
       // Clear everything except completed
       this.queue = this.queue.filter(i => i.status === 'completed');
@@ -0,0 +1,225 @@
+/**
+ * Registration Schema
+ * Per-event list of registration form fields - the five built-in ones (first/last name, email,
+ * mobile, company) plus any the client needs (job title, employee ID, preferred name...).
+ * The schema drives the kiosk form, validates and normalises what's entered, and decides
+ * which columns contacts.csv gets.
+ */
+
+const FIELD_TYPES = ['text', 'email', 'phone', 'select'];
+
+// Built-in fields map onto the existing contacts/sessions CSV columns and can't be removed
+const CORE_FIELDS = [
+  { key: 'firstName', column: 'first_name', label: 'First Name', type: 'text', required: true, placeholder: 'John' },
+  { key: 'lastName', column: 'last_name', label: 'Last Name', type: 'text', required: true, placeholder: 'Smith' },
+  { key: 'email', column: 'email', label: 'Email', type: 'email', required: true, placeholder: 'john@company.com' },
+  { key: 'mobile', column: 'mobile', label: 'Mobile', type: 'phone', required: false, placeholder: '0400 000 000' },
+  { key: 'company', column: 'company', label: 'Company', type: 'text', required: false, placeholder: 'Acme Inc' }
+];
+
+// Names go into folder and file names, so they're always required
+const ALWAYS_REQUIRED = ['firstName', 'lastName'];
+
+// Columns the app writes itself - custom fields can't reuse them
+const RESERVED_COLUMNS = ['shoot_number', 'attendee_id', 'station', ...CORE_FIELDS.map(f => f.column)];
+
+const DEFAULT_SCHEMA = {
+  // Calling code applied to local phone numbers, e.g. '61' turns 0400 000 000 into +61400000000
+  phoneCountryCode: '',
+  fields: CORE_FIELDS
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+const COLUMN_PATTERN = /^[a-z][a-z0-9_]*$/;
+const MAX_CUSTOM_FIELDS = 12;
+
+function isCoreField(key) {
+  return CORE_FIELDS.some(f => f.key === key);
+}
+
+// "Job Title" -> job_title
+function columnFromLabel(label) {
+  return (label || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^[^a-z]+|_+$/g, '');
+}
+
+function normalizeField(field) {
+  const core = CORE_FIELDS.find(f => f.key === field.key);
+  const label = (field.label || '').trim() || (core ? core.label : '');
+  const column = core ? core.column : (field.column || columnFromLabel(label));
+  const type = core ? core.type : (FIELD_TYPES.includes(field.type) ? field.type : 'text');
+
+  const normalized = {
+    key: core ? core.key : column,
+    column,
+    label,
+    type,
+    required: ALWAYS_REQUIRED.includes(field.key) || !!field.required,
+    placeholder: (field.placeholder || '').trim()
+  };
+  if (!core && type === 'select') {
+    normalized.options = (Array.isArray(field.options) ? field.options : String(field.options || '').split(','))
+      .map(option => String(option).trim())
+      .filter(Boolean);
+  }
+  if (type === 'text' && field.pattern) {
+    normalized.pattern = String(field.pattern);
+    normalized.patternMessage = (field.patternMessage || '').trim();
+  }
+  if (field.maxLength) {
+    normalized.maxLength = parseInt(field.maxLength, 10) || undefined;
+  }
+  return normalized;
+}
+
+/**
+ * Fill in defaults and make sure every built-in field is present (in the saved order)
+ */
+function normalizeSchema(schema) {
+  const source = schema && Array.isArray(schema.fields) ? schema : DEFAULT_SCHEMA;
+  const fields = source.fields.map(normalizeField);
+  for (const core of CORE_FIELDS) {
+    if (!fields.some(f => f.key === core.key)) {
+      fields.push(normalizeField(core));
+    }
+  }
+  return {
+    phoneCountryCode: String(source.phoneCountryCode || '').replace(/\D/g, ''),
+    fields
+  };
+}
+
+/**
+ * Check a schema before it's saved
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateSchema(schema) {
+  const errors = [];
+  const fields = (schema && schema.fields) || [];
+  const custom = fields.filter(f => !isCoreField(f.key));
+
+  if (custom.length > MAX_CUSTOM_FIELDS) {
+    errors.push(`At most ${MAX_CUSTOM_FIELDS} custom fields`);
+  }
+
+  const columns = new Set();
+  for (const field of fields.map(normalizeField)) {
+    const name = field.label || field.column || 'Unnamed field';
+    if (!field.label) {
+      errors.push('Every field needs a label');
+    }
+    if (!isCoreField(field.key)) {
+      if (!COLUMN_PATTERN.test(field.column)) {
+        errors.push(`${name}: column name must start with a letter and use only lowercase letters, numbers and underscores`);
+      } else if (RESERVED_COLUMNS.includes(field.column)) {
+        errors.push(`${name}: column "${field.column}" is used by the app`);
+      }
+      if (field.type === 'select' && field.options.length === 0) {
+        errors.push(`${name}: list at least one option`);
+      }
+    }
+    if (columns.has(field.column)) {
+      errors.push(`${name}: column "${field.column}" is used twice`);
+    }
+    columns.add(field.column);
+
+    if (field.pattern) {
+      try {
+        new RegExp(field.pattern);
+      } catch (e) {
+        errors.push(`${name}: invalid pattern`);
+      }
+    }
+  }
+
+  const countryCode = String((schema && schema.phoneCountryCode) || '');
+  if (countryCode && !/^\+?[1-9]\d{0,2}$/.test(countryCode.trim())) {
+    errors.push('Phone country code must be 1-3 digits, e.g. 61 or 1');
+  }
+  return errors;
+}
+
+/**
+ * Normalise a phone number to E.164 (+61400000000)
+ * Local numbers need the event's country code - without one they're kept as typed
+ * @returns {{ value: string, error: string|null }}
+ */
+function normalizePhone(input, countryCode = '') {
+  const trimmed = (input || '').trim();
+  if (!trimmed) return { value: '', error: null };
+
+  let digits = trimmed.replace(/[\s().-]/g, '');
+  if (digits.startsWith('00')) {
+    digits = `+${digits.slice(2)}`;
+  }
+  if (!/^\+?\d+$/.test(digits)) {
+    return { value: trimmed, error: 'is not a valid phone number' };
+  }
+
+  if (!digits.startsWith('+')) {
+    if (!countryCode) return { value: trimmed, error: null };
+    // Drop the trunk prefix: 0400 000 000 -> +61 400 000 000
+    digits = `+${countryCode}${digits.replace(/^0/, '')}`;
+  }
+  return E164_PATTERN.test(digits)
+    ? { value: digits, error: null }
+    : { value: trimmed, error: 'is not a valid phone number' };
+}
+
+/**
+ * Validate and normalise submitted registration values
+ * @param {object} values - keyed by field key (firstName, email, job_title...)
+ * @returns {{ values: object, errors: object }} errors keyed by field key (empty when valid)
+ */
+function validateValues(schema, values) {
+  const normalized = {};
+  const errors = {};
+
+  for (const field of schema.fields) {
+    let value = String(values[field.key] === undefined || values[field.key] === null ? '' : values[field.key]).trim();
+
+    if (!value) {
+      if (field.required) errors[field.key] = `${field.label} is required`;
+      normalized[field.key] = '';
+      continue;
+    }
+
+    if (field.type === 'email' && !EMAIL_PATTERN.test(value)) {
+      errors[field.key] = `${field.label} is not a valid email address`;
+    } else if (field.type === 'phone') {
+      const phone = normalizePhone(value, schema.phoneCountryCode);
+      value = phone.value;
+      if (phone.error) errors[field.key] = `${field.label} ${phone.error}`;
+    } else if (field.type === 'select' && !field.options.includes(value)) {
+      errors[field.key] = `${field.label} must be one of: ${field.options.join(', ')}`;
+    } else if (field.pattern && !new RegExp(field.pattern).test(value)) {
+      errors[field.key] = field.patternMessage || `${field.label} is not in the expected format`;
+    }
+    if (field.maxLength && value.length > field.maxLength) {
+      errors[field.key] = `${field.label} must be ${field.maxLength} characters or fewer`;
+    }
+    normalized[field.key] = value;
+  }
+
+  return { values: normalized, errors };
+}
+
+// Custom (non built-in) fields of a schema
+function customFields(schema) {
+  return schema.fields.filter(f => !isCoreField(f.key));
+}
+
+module.exports = {
+  FIELD_TYPES,
+  CORE_FIELDS,
+  DEFAULT_SCHEMA,
+  isCoreField,
+  normalizeSchema,
+  validateSchema,
+  normalizePhone,
+  validateValues,
+  customFields
+};
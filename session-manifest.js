@@ -0,0 +1,296 @@
+/**
+ * Session Manifest
+ * Each person folder carries a session.json describing the registrant, every capture,
+ * the enhancement settings used, output files, processing status and gallery uploads.
+ * Reprocessing and reporting read this instead of guessing from filename suffixes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILENAME = 'session.json';
+const MANIFEST_VERSION = 1;
+
+// Output keys recorded per capture by versions before output formats were configurable,
+// matching the processor's result fields
+const OUTPUT_FIELDS = {
+  portrait: 'enhancedJpegPath',              // -4x5.jpg
+  portraitTransparent: 'transparentPngPath', // -4x5-TP.png
+  portraitBackground: 'coloredJpegPath',     // -4x5-BG.jpg
+  square: 'enhancedSquarePath',              // -SQR.jpg
+  squareTransparent: 'transparentSquarePngPath', // -SQR-TP.png
+  squareBackground: 'coloredSquareJpegPath'  // -SQR-BG.jpg
+};
+
+/**
+ * Output files keyed for the manifest: the format id for the main file, plus Transparent /
+ * Background for the cut-outs (portrait, portraitTransparent, badge, badgeBackground...)
+ */
+function outputKeys(results) {
+  if (!results.formatOutputs) {
+    return Object.fromEntries(Object.entries(OUTPUT_FIELDS).map(([key, field]) => [key, results[field]]));
+  }
+  const keys = {};
+  for (const [formatId, outputs] of Object.entries(results.formatOutputs)) {
+    keys[formatId] = outputs.main;
+    keys[`${formatId}Transparent`] = outputs.transparent;
+    keys[`${formatId}Background`] = outputs.background;
+  }
+  if (results.idPhoto) {
+    keys.idPhoto = results.idPhoto.photoPath;
+    keys.idPhotoSheet = results.idPhoto.sheetPath;
+  }
+  return keys;
+}
+
+function manifestPath(folder) {
+  return path.join(folder, MANIFEST_FILENAME);
+}
+
+/**
+ * Read a folder's manifest
+ * @returns {object|null} null if the folder predates manifests or the file is unreadable
+ */
+function readManifest(folder) {
+  const filePath = manifestPath(folder);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    console.error('Error reading session manifest:', filePath, error.message);
+    return null;
+  }
+}
+
+function writeManifest(folder, manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  const filePath = manifestPath(folder);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+function createManifest(shootNumber) {
+  return {
+    version: MANIFEST_VERSION,
+    shootNumber,
+    registrant: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+    captures: []
+  };
+}
+
+/**
+ * Read-modify-write a folder's manifest, creating it if needed
+ * Never throws - a manifest failure must not stop a capture being saved
+ * @param {function} mutate - (manifest) => void
+ */
+function updateManifest(folder, shootNumber, mutate) {
+  try {
+    const manifest = readManifest(folder) || createManifest(shootNumber);
+    mutate(manifest);
+    writeManifest(folder, manifest);
+    return manifest;
+  } catch (error) {
+    console.error('Error updating session manifest:', folder, error.message);
+    return null;
+  }
+}
+
+function findCapture(manifest, baseName) {
+  return manifest.captures.find(c => c.baseName === baseName);
+}
+
+// Processed paths are stored relative to the person folder so the folder can be moved or renamed
+function toRelative(folder, filePath) {
+  return filePath ? path.relative(folder, filePath) : null;
+}
+
+/**
+ * Record the person a session belongs to
+ */
+function setRegistrant(folder, person) {
+  const { shootNumber, firstName, lastName, email, mobile, company, attendeeId, extra, consent } = person;
+  return updateManifest(folder, shootNumber, manifest => {
+    const previous = manifest.registrant || {};
+    manifest.shootNumber = shootNumber;
+    manifest.registrant = {
+      firstName,
+      lastName,
+      email,
+      mobile: mobile || '',
+      company: company || '',
+      // Moves only know the name and email - keep the pre-registration link
+      attendeeId: attendeeId || previous.attendeeId || null,
+      // The event's custom registration fields (job title, employee ID...)
+      extra: extra || previous.extra || {},
+      // What they agreed to on the registration screen (null when the event didn't ask)
+      consent: consent || previous.consent || null
+    };
+  });
+}
+
+/**
+ * Record a capture saved into the session folder
+ * @param {object} capture - { baseName, fileName, jpegFileName, originalPath, stationId, queued }
+ */
+function recordCapture(folder, shootNumber, capture) {
+  return updateManifest(folder, shootNumber, manifest => {
+    manifest.captures = manifest.captures.filter(c => c.baseName !== capture.baseName);
+    manifest.captures.push({
+      baseName: capture.baseName,
+      fileName: capture.fileName,
+      jpegFileName: capture.jpegFileName || null,
+      originalPath: capture.originalPath,
+      stationId: capture.stationId || null,
+      savedAt: new Date().toISOString(),
+      processing: {
+        status: capture.queued ? 'pending' : 'not-queued',
+        settings: null,
+        outputs: {},
+        error: null,
+        startedAt: null,
+        completedAt: null
+      },
+      uploads: {}
+    });
+  });
+}
+
+/**
+ * Update a capture's processing state
+ * Creates the capture entry if a legacy folder is reprocessed before it had a manifest
+ * @param {object} update - { status, settings, results, error, fileName }
+ */
+function recordProcessing(folder, shootNumber, baseName, { status, settings, results, error, fileName }) {
+  return updateManifest(folder, shootNumber, manifest => {
+    let capture = findCapture(manifest, baseName);
+    if (!capture) {
+      capture = { baseName, fileName: fileName || null, jpegFileName: null, uploads: {}, processing: { outputs: {} } };
+      manifest.captures.push(capture);
+    }
+
+    const processing = capture.processing;
+    processing.status = status;
+    processing.error = error || null;
+    if (status === 'processing') {
+      processing.startedAt = new Date().toISOString();
+    }
+    if (settings) {
+      processing.settings = { ...settings };
+    }
+    if (results) {
+      processing.outputs = {};
+      for (const [key, filePath] of Object.entries(outputKeys(results))) {
+        if (filePath) processing.outputs[key] = toRelative(folder, filePath);
+      }
+      // Passport / ID photo checklist result (the full report sits next to the photo)
+      processing.idPhoto = results.idPhoto ? {
+        ruleSet: results.idPhoto.ruleSet,
+        status: results.idPhoto.status,
+        failed: results.idPhoto.checks.filter(c => c.status === 'fail').map(c => c.id),
+        report: toRelative(folder, results.idPhoto.reportPath)
+      } : null;
+      processing.completedAt = new Date().toISOString();
+    }
+  });
+}
+
+// Session folder an output file belongs to (outputs live in <session>/Processed)
+function sessionFolderOf(outputPath) {
+  const processedFolder = path.dirname(outputPath);
+  return path.basename(processedFolder) === 'Processed' ? path.dirname(processedFolder) : processedFolder;
+}
+
+/**
+ * Registrant of the session an output file belongs to
+ * @returns {object|null} null for folders without a manifest
+ */
+function findRegistrant(outputPath) {
+  const manifest = readManifest(sessionFolderOf(outputPath));
+  return manifest ? manifest.registrant || null : null;
+}
+
+/**
+ * Record a gallery upload for one output file (Processed/<baseName>-4x5.jpg etc.)
+ */
+function recordUpload(outputPath, { success, galleryId, photoId, error }) {
+  const folder = sessionFolderOf(outputPath);
+  const manifest = readManifest(folder);
+  if (!manifest) return null;
+
+  const fileName = path.basename(outputPath);
+  const capture = manifest.captures.find(c => fileName.startsWith(`${c.baseName}-`));
+  if (!capture) return null;
+
+  return updateManifest(folder, manifest.shootNumber, updated => {
+    const target = findCapture(updated, capture.baseName);
+    target.uploads = target.uploads || {};
+    target.uploads[fileName] = {
+      status: success ? 'uploaded' : 'failed',
+      galleryId: galleryId || null,
+      // Needed to delete the photo from the gallery again if the person's data is purged
+      photoId: photoId || null,
+      error: error || null,
+      at: new Date().toISOString()
+    };
+  });
+}
+
+/**
+ * Remove a capture (deleted, or moved out to another session)
+ * @returns {object|null} The removed entry
+ */
+function removeCapture(folder, baseName) {
+  let removed = null;
+  const manifest = readManifest(folder);
+  if (!manifest) return null;
+
+  updateManifest(folder, manifest.shootNumber, updated => {
+    removed = findCapture(updated, baseName) || null;
+    updated.captures = updated.captures.filter(c => c.baseName !== baseName);
+  });
+  return removed;
+}
+
+/**
+ * Move a capture's entry to another session under its new name
+ * Outputs and uploads are reset because the old outputs were deleted with the old name
+ */
+function moveCapture(fromFolder, oldBaseName, toFolder, shootNumber, { baseName, fileName, jpegFileName, queued }) {
+  const previous = removeCapture(fromFolder, oldBaseName);
+  return recordCapture(toFolder, shootNumber, {
+    baseName,
+    fileName,
+    jpegFileName,
+    originalPath: previous ? previous.originalPath : null,
+    stationId: previous ? previous.stationId : null,
+    queued
+  });
+}
+
+/**
+ * Whether a capture's processed outputs are recorded as complete and still on disk
+ */
+function isCaptureProcessed(folder, capture) {
+  const { processing } = capture;
+  if (!processing || processing.status !== 'completed') return false;
+  return Object.values(processing.outputs || {}).some(rel => fs.existsSync(path.join(folder, rel)));
+}
+
+module.exports = {
+  MANIFEST_FILENAME,
+  readManifest,
+  setRegistrant,
+  recordCapture,
+  recordProcessing,
+  recordUpload,
+  findRegistrant,
+  sessionFolderOf,
+  removeCapture,
+  moveCapture,
+  isCaptureProcessed
+};
@@ -0,0 +1,183 @@
+/**
+ * Session Store
+ * Owns the active session on each camera station and today's recent sessions, persisted
+ * to disk so a crash or auto-update mid-session doesn't lose who is being photographed
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_RECENT = 50;
+
+class SessionStore {
+  constructor(app) {
+    this.filePath = path.join(app.getPath('userData'), 'session_state.json');
+    this.active = {};  // stationId -> { person, photoCount, folder, resumed, startedAt }
+    this.recent = [];  // [{ shootNumber, firstName, lastName, email, mobile, company, folder, photoCount, timestamp }]
+    this.onChange = null; // Callback when state changes
+
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        this.active = data.active || {};
+        this.recent = data.recent || [];
+      }
+    } catch (error) {
+      console.error('Error loading session state:', error);
+      this.active = {};
+      this.recent = [];
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify({ active: this.active, recent: this.recent }, null, 2));
+    } catch (error) {
+      console.error('Error saving session state:', error);
+    }
+  }
+
+  /**
+   * Persist and notify the renderer after every change
+   */
+  commit() {
+    this.save();
+    if (this.onChange) {
+      this.onChange(this.getState());
+    }
+  }
+
+  getState() {
+    return {
+      active: { ...this.active },
+      recent: [...this.recent]
+    };
+  }
+
+  getActive(stationId) {
+    return this.active[stationId] || null;
+  }
+
+  /**
+   * Station currently running a shoot number, if any
+   */
+  findActiveStation(shootNumber) {
+    return Object.keys(this.active).find(id => this.active[id].person.shootNumber === shootNumber) || null;
+  }
+
+  /**
+   * Start (or resume) a session on a station
+   * @param {object} person - { shootNumber, firstName, lastName, email, mobile, company }
+   * @param {object} options - { folder, photoCount, resumed } for resumed sessions
+   */
+  start(stationId, person, { folder = '', photoCount = 0, resumed = false } = {}) {
+    this.active[stationId] = {
+      person,
+      photoCount,
+      folder,
+      resumed,
+      startedAt: new Date().toISOString()
+    };
+    // A resumed session moves from Recent back to the station until it ends again
+    this.recent = this.recent.filter(s => s.shootNumber !== person.shootNumber);
+    this.commit();
+  }
+
+  /**
+   * End a station's session, keeping it in Recent Sessions if any photos were saved
+   */
+  end(stationId) {
+    const session = this.active[stationId];
+    if (!session) return null;
+
+    delete this.active[stationId];
+    if (session.photoCount > 0) {
+      this.addRecent(session.person, session.folder, session.photoCount, false);
+    }
+    this.commit();
+    return session;
+  }
+
+  /**
+   * Add a session straight to Recent Sessions (e.g. one started by dropping inbox captures)
+   */
+  addRecent(person, folder = '', photoCount = 0, persist = true) {
+    this.recent = this.recent.filter(s => s.shootNumber !== person.shootNumber);
+    this.recent.unshift({
+      ...person,
+      folder,
+      photoCount,
+      timestamp: new Date().toISOString()
+    });
+    this.recent = this.recent.slice(0, MAX_RECENT);
+    if (persist) this.commit();
+  }
+
+  /**
+   * Drop purged sessions from Recent Sessions
+   * @returns {number} Number of sessions removed
+   */
+  forget(shootNumbers) {
+    const before = this.recent.length;
+    this.recent = this.recent.filter(s => !shootNumbers.includes(s.shootNumber));
+    const removed = before - this.recent.length;
+    if (removed > 0) this.commit();
+    return removed;
+  }
+
+  /**
+   * Keep photo counters in step with captures saved, moved or deleted for a shoot number
+   */
+  adjustPhotoCount(shootNumber, delta, folder) {
+    const stationId = this.findActiveStation(shootNumber);
+    const session = stationId ? this.active[stationId] : this.recent.find(s => s.shootNumber === shootNumber);
+    if (!session) return;
+
+    session.photoCount = Math.max(0, session.photoCount + delta);
+    if (folder) session.folder = folder;
+    this.commit();
+  }
+
+  /**
+   * Reconcile persisted state with what's on disk at launch
+   * @param {string[]} stationIds - Stations that still exist
+   * @param {object[]} todaysSessions - Session summaries rebuilt from today's session folders
+   * @param {function} countPhotos - (folder) => RAW count, to refresh active counters
+   */
+  restore(stationIds, todaysSessions, countPhotos) {
+    // Sessions on stations that were removed go to Recent rather than disappearing
+    for (const stationId of Object.keys(this.active)) {
+      if (!stationIds.includes(stationId)) {
+        const session = this.active[stationId];
+        delete this.active[stationId];
+        if (session.photoCount > 0) {
+          this.addRecent(session.person, session.folder, session.photoCount, false);
+        }
+      }
+    }
+
+    // Frames may have been saved after the last persisted count (crash between copy and save)
+    for (const session of Object.values(this.active)) {
+      if (session.folder) {
+        session.photoCount = countPhotos(session.folder);
+      }
+    }
+
+    // Session folders are the source of truth for today's recent list; keep known timestamps
+    const activeShootNumbers = Object.values(this.active).map(s => s.person.shootNumber);
+    const timestamps = new Map(this.recent.map(s => [s.shootNumber, s.timestamp]));
+    this.recent = todaysSessions
+      .filter(s => !activeShootNumbers.includes(s.shootNumber))
+      .map(s => ({ ...s, timestamp: timestamps.get(s.shootNumber) || null }))
+      .sort((a, b) => b.shootNumber.localeCompare(a.shootNumber))
+      .slice(0, MAX_RECENT);
+
+    this.commit();
+  }
+}
+
+module.exports = SessionStore;
@@ -32,6 +32,9 @@ echo "Installing dependencies..."
 npm install
 
 if [ $? -eq 0 ]; then
+    # Face detection model (framing falls back to smartcrop if the download fails)
+    npm run fetch-models
+
     echo ""
     echo "================================"
     echo "  Setup Complete!"
@@ -0,0 +1,154 @@
+/**
+ * Shoot Numbers
+ * Builds shoot numbers from a per-event template so several laptops at one event can number
+ * sessions without colliding (e.g. {date}-{station}-{seq} -> 20260120-B-001), and parses
+ * them back out of person folder names (<shootNumber>_<Last>_<First>) in old and new formats.
+ */
+
+const DEFAULT_SCHEME = {
+  template: '{date}-{seq}',
+  prefix: '',
+  padding: 3,
+  startAt: 1
+};
+
+const TOKENS = ['date', 'station', 'prefix', 'seq'];
+const MAX_PADDING = 6;
+
+// Shoot numbers end up in folder and file names, and the first underscore in a folder
+// name separates the shoot number from the person's name - so no underscores allowed
+const SAFE_PATTERN = /^[A-Za-z0-9-]*$/;
+
+function normalizeScheme(scheme = {}) {
+  return {
+    template: typeof scheme.template === 'string' && scheme.template.trim()
+      ? scheme.template.trim()
+      : DEFAULT_SCHEME.template,
+    prefix: (scheme.prefix || '').trim(),
+    padding: parseInt(scheme.padding, 10) || DEFAULT_SCHEME.padding,
+    startAt: parseInt(scheme.startAt, 10) || DEFAULT_SCHEME.startAt
+  };
+}
+
+/**
+ * Check a numbering scheme before it's saved
+ * @param {object} scheme - { template, prefix, padding, startAt }
+ * @param {string} stationCode - This laptop's station ID
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateScheme(scheme, stationCode = '') {
+  const errors = [];
+  const template = (scheme.template || '').trim();
+
+  if (!template) {
+    return ['Template is required'];
+  }
+
+  const tokens = [...template.matchAll(/\{([^}]*)\}/g)].map(m => m[1]);
+  const unknown = tokens.filter(t => !TOKENS.includes(t));
+  if (unknown.length > 0) {
+    errors.push(`Unknown placeholder(s): ${unknown.map(t => `{${t}}`).join(', ')}`);
+  }
+  const seqCount = tokens.filter(t => t === 'seq').length;
+  if (seqCount !== 1) {
+    errors.push('Template must contain {seq} exactly once');
+  }
+
+  const literal = template.replace(/\{[^}]*\}/g, '');
+  if (!SAFE_PATTERN.test(literal)) {
+    errors.push('Template can only contain letters, numbers and dashes outside placeholders');
+  }
+
+  if (!SAFE_PATTERN.test(scheme.prefix || '')) {
+    errors.push('Prefix can only contain letters, numbers and dashes');
+  }
+  if (tokens.includes('prefix') && !(scheme.prefix || '').trim()) {
+    errors.push('Template uses {prefix} but no prefix is set');
+  }
+
+  if (!SAFE_PATTERN.test(stationCode || '')) {
+    errors.push('Station ID can only contain letters, numbers and dashes');
+  }
+  if (tokens.includes('station') && !(stationCode || '').trim()) {
+    errors.push('Template uses {station} but this laptop has no station ID');
+  }
+
+  const padding = Number(scheme.padding);
+  if (!Number.isInteger(padding) || padding < 1 || padding > MAX_PADDING) {
+    errors.push(`Padding must be a whole number from 1 to ${MAX_PADDING}`);
+  }
+  const startAt = Number(scheme.startAt);
+  if (!Number.isInteger(startAt) || startAt < 1) {
+    errors.push('Start number must be a whole number of 1 or more');
+  }
+
+  return errors;
+}
+
+// YYYYMMDD (UTC, matching shoot numbers from earlier versions)
+function formatDate(date = new Date()) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function render(scheme, { date, stationCode, seq }) {
+  const values = {
+    date: formatDate(date),
+    station: (stationCode || '').trim(),
+    prefix: scheme.prefix,
+    seq
+  };
+  return scheme.template.replace(/\{([^}]*)\}/g, (token, name) => values[name] !== undefined ? values[name] : '');
+}
+
+/**
+ * Everything in a shoot number except the sequence - the counter restarts whenever this
+ * changes (a new day with {date}, a new prefix or station ID)
+ */
+function counterKey(scheme, context) {
+  return render(scheme, { ...context, seq: '#' });
+}
+
+/**
+ * @param {object} context - { date, stationCode, seq }
+ */
+function formatShootNumber(scheme, context) {
+  return render(scheme, { ...context, seq: String(context.seq).padStart(scheme.padding, '0') });
+}
+
+/**
+ * First shoot number the scheme would produce, for the settings preview
+ */
+function preview(scheme, stationCode, date = new Date()) {
+  const normalized = normalizeScheme(scheme);
+  return formatShootNumber(normalized, { date, stationCode, seq: normalized.startAt });
+}
+
+/**
+ * Split a person folder name into shoot number and name
+ * Works for 20260120-001_Smith_John as well as any template (which can't contain underscores)
+ * @returns {{ shootNumber: string, personName: string }|null}
+ */
+function parseFolderName(folderName) {
+  const separator = folderName.indexOf('_');
+  if (separator <= 0) return null;
+
+  const shootNumber = folderName.slice(0, separator);
+  if (!SAFE_PATTERN.test(shootNumber) || !/\d/.test(shootNumber)) return null;
+
+  return {
+    shootNumber,
+    personName: folderName.slice(separator + 1).replace(/_/g, ' ')
+  };
+}
+
+module.exports = {
+  DEFAULT_SCHEME,
+  TOKENS,
+  normalizeScheme,
+  validateScheme,
+  formatDate,
+  counterKey,
+  formatShootNumber,
+  preview,
+  parseFolderName
+};
@@ -0,0 +1,662 @@
+/**
+ * Station Sync
+ * Lets several stations at one event share a single shoot number sequence and one combined
+ * contacts.csv / headshot_sessions.csv. Either one station hosts a small HTTP service the
+ * others call, or every station writes to a shared network folder under a lock file.
+ *
+ * Row writes made while the shared side is unreachable wait in an outbox and are replayed
+ * in order. Each write carries an id the shared folder records once applied, so a batch that
+ * is resent (the host answered too late, or one write in it failed) isn't written twice.
+ * Shoot numbers can't wait, so each station keeps a few numbers reserved from the shared
+ * counter to use while offline - a number is only ever handed out once. Reserved numbers a
+ * station didn't need (it reconnected, stopped syncing or moved to another counter) are given
+ * back and handed out again before new ones, so the shared sequence has no holes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const os = require('os');
+const crypto = require('crypto');
+const { writeCsvFile, appendCsvRow, ensureCsvColumns, updateCsvRows } = require('./csv');
+
+const MODES = ['off', 'host', 'client', 'folder'];
+const DEFAULT_PORT = 47123;
+const DEFAULT_RESERVE_SIZE = 5;
+const MAX_RESERVE_SIZE = 20;   // Most numbers one request can take or give back
+
+const COUNTER_FILENAME = 'shoot_counters.json';
+const RETURNED_FILENAME = 'returned_numbers.json';
+const APPLIED_FILENAME = 'applied_ops.json';
+const LOCK_FILENAME = '.sync.lock';
+const LOCK_STALE_MS = 15000;   // A lock not refreshed for this long was left by a crashed station
+const LOCK_TIMEOUT_MS = 5000;
+// The host may wait LOCK_TIMEOUT_MS for the lock before writing - give up well after that
+const REQUEST_TIMEOUT_MS = LOCK_TIMEOUT_MS + 15000;
+const FLUSH_INTERVAL_MS = 15000;
+const APPLIED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // Outboxes older than this aren't replayed
+
+// Combined files in the shared folder; rows carry the station that wrote them
+const SHARED_FILES = {
+  contacts: 'contacts.csv',
+  sessions: 'headshot_sessions.csv'
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * The shared folder itself - used directly in folder mode, and by the host in host mode
+ */
+class SharedFolderStore {
+  constructor(folder) {
+    this.folder = folder;
+    this.lockPath = path.join(folder, LOCK_FILENAME);
+  }
+
+  /**
+   * Whether a lock file was left behind: not refreshed for LOCK_STALE_MS, and not held by a
+   * process still running on this machine
+   */
+  isLockStale() {
+    if (Date.now() - fs.statSync(this.lockPath).mtimeMs <= LOCK_STALE_MS) {
+      return false;
+    }
+    try {
+      const holder = JSON.parse(fs.readFileSync(this.lockPath, 'utf-8'));
+      if (holder.host === os.hostname() && holder.pid !== process.pid) {
+        process.kill(holder.pid, 0);
+        return false;
+      }
+    } catch (e) {
+      // Unreadable lock, or its process has gone (EPERM means it's running as another user)
+      return e.code !== 'EPERM';
+    }
+    return true;
+  }
+
+  /**
+   * Run fn while holding the folder's lock file
+   * Other stations (or this one, for overlapping requests) wait for it to be released.
+   * fn gets a refresh() to call during long writes so the lock isn't taken as stale; it is
+   * also refreshed on a timer while fn awaits.
+   */
+  async withLock(fn) {
+    if (!this.folder || !fs.existsSync(this.folder)) {
+      throw new Error('Shared folder not available');
+    }
+
+    const started = Date.now();
+    let fd = null;
+    while (fd === null) {
+      try {
+        fd = fs.openSync(this.lockPath, 'wx');
+        fs.writeSync(fd, JSON.stringify({ host: os.hostname(), pid: process.pid, at: new Date().toISOString() }));
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+
+        try {
+          if (this.isLockStale()) {
+            fs.unlinkSync(this.lockPath);
+            continue;
+          }
+        } catch (e) { /* released between the check and the stat */ }
+
+        if (Date.now() - started > LOCK_TIMEOUT_MS) {
+          throw new Error('Shared folder is locked by another station');
+        }
+        await delay(100);
+      }
+    }
+
+    let lastRefresh = Date.now();
+    const refresh = () => {
+      if (Date.now() - lastRefresh < LOCK_STALE_MS / 5) return;
+      lastRefresh = Date.now();
+      try {
+        fs.futimesSync(fd, new Date(), new Date());
+      } catch (e) {
+        console.error('Could not refresh station sync lock:', e.message);
+      }
+    };
+    const refreshTimer = setInterval(refresh, LOCK_STALE_MS / 3);
+
+    try {
+      return await fn(refresh);
+    } finally {
+      clearInterval(refreshTimer);
+      fs.closeSync(fd);
+      try { fs.unlinkSync(this.lockPath); } catch (e) { /* ignore */ }
+    }
+  }
+
+  readJson(fileName) {
+    const filePath = path.join(this.folder, fileName);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : {};
+  }
+
+  writeJson(fileName, data) {
+    const filePath = path.join(this.folder, fileName);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Take the next count numbers for a key: numbers other stations gave back first (lowest
+   * first), then new ones from the shared counter
+   * @returns {number[]}
+   */
+  reserve(key, startAt, count) {
+    return this.withLock(() => {
+      const counters = this.readJson(COUNTER_FILENAME);
+      const returned = this.readJson(RETURNED_FILENAME);
+
+      const numbers = (returned[key] || []).splice(0, count);
+      if (numbers.length > 0) {
+        this.writeJson(RETURNED_FILENAME, returned);
+      }
+      if (numbers.length < count) {
+        const first = Math.max((counters[key] || 0) + 1, startAt);
+        for (let n = first; numbers.length < count; n++) numbers.push(n);
+        counters[key] = numbers[numbers.length - 1];
+        this.writeJson(COUNTER_FILENAME, counters);
+      }
+      return numbers;
+    });
+  }
+
+  /**
+   * Give back reserved numbers a station didn't use, to be handed out again
+   */
+  release(key, numbers) {
+    return this.withLock(() => {
+      const counters = this.readJson(COUNTER_FILENAME);
+      const returned = this.readJson(RETURNED_FILENAME);
+      // Only numbers the counter has actually issued
+      const valid = numbers.filter(n => Number.isInteger(n) && n > 0 && n <= (counters[key] || 0));
+      returned[key] = [...new Set([...(returned[key] || []), ...valid])].sort((a, b) => a - b);
+      this.writeJson(RETURNED_FILENAME, returned);
+      return valid.length;
+    });
+  }
+
+  /**
+   * Ids of writes already applied -> when, pruned to APPLIED_RETENTION_MS
+   */
+  readApplied() {
+    const appliedPath = path.join(this.folder, APPLIED_FILENAME);
+    let applied = {};
+    try {
+      if (fs.existsSync(appliedPath)) {
+        applied = JSON.parse(fs.readFileSync(appliedPath, 'utf-8'));
+      }
+    } catch (error) {
+      console.error('Error reading applied sync writes:', error.message);
+    }
+    const cutoff = Date.now() - APPLIED_RETENTION_MS;
+    for (const [id, at] of Object.entries(applied)) {
+      if (Date.parse(at) < cutoff) delete applied[id];
+    }
+    return applied;
+  }
+
+  writeApplied(applied) {
+    const appliedPath = path.join(this.folder, APPLIED_FILENAME);
+    const tempPath = `${appliedPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(applied));
+    fs.renameSync(tempPath, appliedPath);
+  }
+
+  /**
+   * Apply queued row writes in order, skipping any already applied (matched on op.id)
+   * @param {object[]} ops - { id, type: 'append', file, row, columns } or
+   *   { id, type: 'update', file, match: { field, value }, values } (values null deletes the row)
+   * @returns {number} Writes now applied, including ones applied by an earlier attempt
+   */
+  apply(ops) {
+    return this.withLock((refresh) => {
+      const applied = this.readApplied();
+      // Written even when an op throws, so the ones before it aren't repeated on the retry
+      try {
+        for (const op of ops) {
+          if (op.id && applied[op.id]) continue;
+          this.applyOp(op);
+          if (op.id) applied[op.id] = new Date().toISOString();
+          refresh();
+        }
+      } finally {
+        this.writeApplied(applied);
+      }
+      return ops.length;
+    });
+  }
+
+  applyOp(op) {
+    const fileName = SHARED_FILES[op.file];
+    if (!fileName) return;
+    const filePath = path.join(this.folder, fileName);
+
+    if (op.type === 'append') {
+      const columns = [...(op.columns || Object.keys(op.row)), 'station'];
+      if (!fs.existsSync(filePath)) {
+        writeCsvFile(filePath, columns, []);
+      } else {
+        ensureCsvColumns(filePath, columns);
+      }
+      appendCsvRow(filePath, { ...op.row, station: op.station });
+    } else if (op.type === 'update' && fs.existsSync(filePath)) {
+      // Values can name columns the shared file doesn't have yet (a new output format's path)
+      if (op.values) {
+        ensureCsvColumns(filePath, Object.keys(op.values));
+      }
+      updateCsvRows(filePath, row => row[op.match.field] === op.match.value, row => (
+        op.values ? { ...row, ...op.values } : null
+      ));
+    }
+  }
+}
+
+/**
+ * A host station's shared folder, reached over HTTP
+ */
+class HttpStore {
+  constructor(hostUrl, accessKey) {
+    this.hostUrl = hostUrl.replace(/\/+$/, '');
+    this.accessKey = accessKey;
+  }
+
+  request(route, body) {
+    return new Promise((resolve, reject) => {
+      const payload = JSON.stringify(body || {});
+      const req = http.request(`${this.hostUrl}${route}`, {
+        method: 'POST',
+        timeout: REQUEST_TIMEOUT_MS,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          'X-Sync-Key': this.accessKey || ''
+        }
+      }, (res) => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          try {
+            const parsed = JSON.parse(data);
+            if (res.statusCode !== 200) {
+              reject(new Error(parsed.error || `Host returned ${res.statusCode}`));
+            } else {
+              resolve(parsed);
+            }
+          } catch (e) {
+            reject(new Error('Invalid response from host'));
+          }
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error('Host did not respond')));
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+
+  async reserve(key, startAt, count) {
+    const { numbers } = await this.request('/reserve', { key, startAt, count });
+    return numbers;
+  }
+
+  async release(key, numbers) {
+    const { released } = await this.request('/release', { key, numbers });
+    return released;
+  }
+
+  async apply(ops) {
+    const { applied } = await this.request('/apply', { ops });
+    return applied;
+  }
+}
+
+class StationSync {
+  constructor(app) {
+    this.outboxPath = path.join(app.getPath('userData'), 'sync_outbox.json');
+    this.reservedPath = path.join(app.getPath('userData'), 'sync_reserved.json');
+    this.settings = {
+      mode: 'off',
+      stationName: os.hostname(),
+      hostUrl: '',
+      port: DEFAULT_PORT,
+      accessKey: '',
+      sharedFolder: '',
+      reserveSize: DEFAULT_RESERVE_SIZE
+    };
+    this.store = null;
+    this.server = null;
+    this.flushTimer = null;
+    this.flushing = false;
+    this.online = null;
+    this.lastError = null;
+    this.outbox = [];    // Row writes waiting for the shared side
+    this.reserved = {};  // counter key -> numbers taken from the shared counter, not used yet
+    this.onStatusChange = null; // Callback when online state or outbox size changes
+
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.outboxPath)) {
+        // Writes queued before they carried ids get one now, before they are first sent
+        this.outbox = JSON.parse(fs.readFileSync(this.outboxPath, 'utf-8'))
+          .map(op => (op.id ? op : { ...op, id: crypto.randomUUID() }));
+      }
+      if (fs.existsSync(this.reservedPath)) {
+        this.reserved = JSON.parse(fs.readFileSync(this.reservedPath, 'utf-8'));
+      }
+    } catch (error) {
+      console.error('Error loading station sync state:', error);
+    }
+  }
+
+  save() {
+    try {
+      fs.writeFileSync(this.outboxPath, JSON.stringify(this.outbox, null, 2));
+      fs.writeFileSync(this.reservedPath, JSON.stringify(this.reserved, null, 2));
+    } catch (error) {
+      console.error('Error saving station sync state:', error);
+    }
+  }
+
+  isEnabled() {
+    return this.settings.mode !== 'off' && !!this.store;
+  }
+
+  /**
+   * Apply new settings, restarting the host service and outbox timer as needed
+   * @param {object} settings - { mode, stationName, hostUrl, port, accessKey, sharedFolder, reserveSize }
+   */
+  configure(settings) {
+    this.stop();
+    // Numbers reserved from the old counter mean nothing to a new one
+    if (this.store) {
+      this.releaseReserved(this.store);
+    }
+    this.settings = { ...this.settings, ...settings };
+    this.settings.reserveSize = Math.min(Math.max(0, this.settings.reserveSize || 0), MAX_RESERVE_SIZE);
+    if (!MODES.includes(this.settings.mode)) {
+      this.settings.mode = 'off';
+    }
+    // The host makes up the key clients must present - long enough that it can't be guessed
+    if (this.settings.mode === 'host' && !this.settings.accessKey) {
+      this.settings.accessKey = crypto.randomBytes(16).toString('hex');
+    }
+
+    this.online = null;
+    this.lastError = null;
+    this.store = null;
+
+    const { mode, sharedFolder, hostUrl, accessKey } = this.settings;
+    if ((mode === 'host' || mode === 'folder') && sharedFolder) {
+      this.store = new SharedFolderStore(sharedFolder);
+    } else if (mode === 'client' && hostUrl) {
+      this.store = new HttpStore(hostUrl, accessKey);
+    }
+
+    if (mode === 'host' && this.store) {
+      this.startServer();
+    }
+    if (this.store) {
+      this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+      this.flush();
+    }
+    this.notifyChange();
+    return this.settings;
+  }
+
+  /**
+   * Stop the host service and outbox timer. Pass release to also give back reserved numbers
+   * (best effort - the app may quit before the host answers)
+   */
+  stop(release = false) {
+    if (release && this.store) {
+      this.releaseReserved(this.store);
+    }
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  /**
+   * Serve the shared counter and files to client stations
+   */
+  startServer() {
+    const store = this.store;
+    this.server = http.createServer((req, res) => {
+      const reply = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      if (req.method !== 'POST') {
+        return reply(405, { error: 'Method not allowed' });
+      }
+      if (req.headers['x-sync-key'] !== this.settings.accessKey) {
+        return reply(403, { error: 'Wrong access key' });
+      }
+
+      let data = '';
+      req.on('data', chunk => { data += chunk; });
+      req.on('end', async () => {
+        try {
+          const body = JSON.parse(data || '{}');
+          if (req.url === '/reserve') {
+            const count = Math.min(Math.max(1, parseInt(body.count, 10) || 1), MAX_RESERVE_SIZE);
+            const numbers = await store.reserve(String(body.key), parseInt(body.startAt, 10) || 1, count);
+            return reply(200, { numbers });
+          }
+          if (req.url === '/release') {
+            const numbers = Array.isArray(body.numbers) ? body.numbers.slice(0, MAX_RESERVE_SIZE) : [];
+            const released = await store.release(String(body.key), numbers);
+            return reply(200, { released });
+          }
+          if (req.url === '/apply') {
+            const applied = await store.apply(body.ops || []);
+            return reply(200, { applied });
+          }
+          return reply(404, { error: 'Not found' });
+        } catch (err) {
+          return reply(500, { error: err.message });
+        }
+      });
+    });
+
+    this.server.on('error', (err) => {
+      console.error('Station sync host error:', err.message);
+      this.setOnline(false, err);
+    });
+    this.server.listen(this.settings.port, () => {
+      console.log(`Station sync host listening on port ${this.settings.port}`);
+    });
+  }
+
+  /**
+   * Addresses client stations can use to reach this host
+   */
+  getHostUrls() {
+    const urls = [];
+    for (const addresses of Object.values(os.networkInterfaces())) {
+      for (const address of addresses || []) {
+        if (address.family === 'IPv4' && !address.internal) {
+          urls.push(`http://${address.address}:${this.settings.port}`);
+        }
+      }
+    }
+    return urls;
+  }
+
+  setOnline(online, error = null) {
+    const changed = this.online !== online;
+    this.online = online;
+    this.lastError = error ? error.message : null;
+    if (changed) {
+      console.log(`Station sync ${online ? 'connected' : `offline: ${this.lastError}`}`);
+      this.notifyChange();
+    }
+  }
+
+  notifyChange() {
+    if (this.onStatusChange) {
+      this.onStatusChange(this.getStatus());
+    }
+  }
+
+  getStatus() {
+    return {
+      ...this.settings,
+      enabled: this.isEnabled(),
+      online: this.online,
+      lastError: this.lastError,
+      pending: this.outbox.length,
+      reserved: Object.values(this.reserved).reduce((sum, numbers) => sum + numbers.length, 0),
+      hostUrls: this.settings.mode === 'host' ? this.getHostUrls() : []
+    };
+  }
+
+  /**
+   * Next number in the shared sequence for a counter key
+   * Falls back to this station's reserved numbers when the shared side can't be reached
+   */
+  async nextSequence(key, startAt = 1) {
+    try {
+      const wasOffline = this.online === false;
+      const [seq] = await this.store.reserve(key, startAt, 1);
+      this.setOnline(true);
+      // Back online: numbers held through the outage go back to the shared sequence first
+      if (wasOffline) {
+        await this.releaseReserved(this.store);
+      }
+      this.topUpReserve(key, startAt);
+      return seq;
+    } catch (err) {
+      this.setOnline(false, err);
+      const pool = this.reserved[key] || [];
+      if (pool.length === 0) {
+        throw new Error(`Shared shoot counter unreachable (${err.message}) and no offline numbers are reserved`);
+      }
+      const seq = pool.shift();
+      this.save();
+      this.notifyChange();
+      console.log(`Station sync offline - using reserved shoot number ${seq}`);
+      return seq;
+    }
+  }
+
+  /**
+   * Give every reserved number (except keepKey's) back to the store's counter
+   * They leave this station's pool straight away. If the current store can't take them they go
+   * back in the pool; numbers an old store (before configure) can't take are lost to its sequence
+   */
+  async releaseReserved(store, keepKey = null) {
+    const pools = Object.entries(this.reserved).filter(([key, numbers]) => key !== keepKey && numbers.length > 0);
+    if (pools.length === 0) return;
+
+    this.reserved = keepKey && this.reserved[keepKey] ? { [keepKey]: this.reserved[keepKey] } : {};
+    this.save();
+    this.notifyChange();
+    for (const [key, numbers] of pools) {
+      try {
+        await store.release(key, numbers);
+      } catch (err) {
+        console.error(`Could not give back reserved shoot numbers ${numbers.join(', ')}:`, err.message);
+        if (store === this.store) {
+          this.reserved[key] = [...numbers, ...(this.reserved[key] || [])].sort((x, y) => x - y);
+          this.save();
+          this.notifyChange();
+        }
+      }
+    }
+  }
+
+  /**
+   * Keep a few numbers in hand for the current key so an outage doesn't stop the shoot
+   * Numbers reserved under an old key (yesterday's date, a changed prefix) are given back
+   */
+  async topUpReserve(key, startAt) {
+    // The host's counter is on its own disk, so it never needs numbers in hand
+    if (this.settings.mode === 'host') return;
+
+    await this.releaseReserved(this.store, key);
+
+    const pool = this.reserved[key] || [];
+    const needed = (this.settings.reserveSize || 0) - pool.length;
+    if (needed <= 0) return;
+
+    try {
+      const numbers = await this.store.reserve(key, startAt, needed);
+      this.reserved = { [key]: [...pool, ...numbers] };
+      this.save();
+      this.notifyChange();
+    } catch (err) {
+      this.setOnline(false, err);
+    }
+  }
+
+  /**
+   * Queue a row for the shared contacts.csv or headshot_sessions.csv
+   * @param {string} file - 'contacts' or 'sessions'
+   * @param {string[]} columns - Header to create the shared file with
+   */
+  appendRow(file, row, columns) {
+    this.enqueue({ type: 'append', file, row, columns });
+  }
+
+  /**
+   * Queue a change to shared rows where row[field] === value (values null deletes them)
+   */
+  updateRows(file, field, value, values) {
+    this.enqueue({ type: 'update', file, match: { field, value }, values });
+  }
+
+  enqueue(op) {
+    if (!this.isEnabled()) return;
+
+    this.outbox.push({
+      ...op,
+      id: crypto.randomUUID(),
+      station: this.settings.stationName,
+      queuedAt: new Date().toISOString()
+    });
+    this.save();
+    this.flush();
+  }
+
+  /**
+   * Send queued writes, oldest first; anything that fails stays queued for the next attempt
+   */
+  async flush() {
+    if (this.flushing || !this.isEnabled() || this.outbox.length === 0) {
+      return;
+    }
+
+    this.flushing = true;
+    const batch = this.outbox.slice();
+    try {
+      await this.store.apply(batch);
+      this.outbox = this.outbox.slice(batch.length);
+      this.save();
+      this.setOnline(true);
+      this.notifyChange();
+    } catch (err) {
+      this.setOnline(false, err);
+    } finally {
+      this.flushing = false;
+    }
+  }
+}
+
+StationSync.MODES = MODES;
+StationSync.DEFAULT_PORT = DEFAULT_PORT;
+
+module.exports = StationSync;
@@ -0,0 +1,238 @@
+/**
+ * Tether Source Profiles
+ * Describes how each tethering app is launched and how it lays out captures on disk
+ * (folder depth, RAW/JPEG pairing, sidecars) so the watcher doesn't assume LUMIX Tether
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+
+const RAW_EXTENSIONS = ['.rw2', '.raw', '.arw', '.cr2', '.cr3', '.nef', '.orf', '.dng'];
+const JPEG_EXTENSIONS = ['.jpg', '.jpeg'];
+
+const DEFAULT_PROFILE_ID = 'lumix';
+
+// Files every profile ignores: dotfiles, macOS metadata and partially-written temp files
+const COMMON_IGNORE_PATTERNS = [
+  /(^|[\/\\])\../,
+  /\.(tmp|part|download)$/i
+];
+
+const TETHER_PROFILES = {
+  // LUMIX Tether writes RAW+JPEG pairs with identical base names straight into the chosen folder
+  lumix: {
+    id: 'lumix',
+    name: 'LUMIX Tether (Panasonic)',
+    appName: 'LUMIX Tether',
+    appPaths: [
+      '/Applications/LUMIX Tether.app',
+      '/Applications/Panasonic/LUMIX Tether.app',
+      '~/Applications/LUMIX Tether.app'
+    ],
+    watchDepth: 0,
+    rawExtensions: RAW_EXTENSIONS,
+    jpegSearchFolders: ['.'],
+    ignorePatterns: []
+  },
+
+  // EOS Utility saves into dated subfolders (e.g. 2026_01_20/IMG_0001.CR3) and may split
+  // RAW and JPEG into sibling folders when "Save RAW and JPEG separately" is enabled
+  'canon-eos-utility': {
+    id: 'canon-eos-utility',
+    name: 'EOS Utility (Canon)',
+    appName: 'EOS Utility',
+    appPaths: [
+      '/Applications/Canon Utilities/EOS Utility/EU3/EOS Utility 3.app',
+      '/Applications/Canon Utilities/EOS Utility/EOS Utility.app',
+      '~/Applications/EOS Utility 3.app'
+    ],
+    watchDepth: 2,
+    rawExtensions: ['.cr3', '.cr2', '.dng'],
+    jpegSearchFolders: ['.', '../JPEG', '../JPG', 'JPEG'],
+    ignorePatterns: [
+      /[\/\\]~[^\/\\]*$/,        // EOS Utility transfer temp files
+      /\.(thm|vrd|dpp)$/i         // Thumbnail and Digital Photo Professional recipe sidecars
+    ]
+  },
+
+  // Imaging Edge Remote names files DSC00001.ARW/.JPG and can create a dated subfolder per day
+  'sony-imaging-edge': {
+    id: 'sony-imaging-edge',
+    name: 'Imaging Edge Remote (Sony)',
+    appName: 'Imaging Edge Remote',
+    appPaths: [
+      '/Applications/Imaging Edge Desktop/Remote.app',
+      '/Applications/Sony/Imaging Edge/Remote.app',
+      '/Applications/Remote.app'
+    ],
+    watchDepth: 1,
+    rawExtensions: ['.arw', '.dng'],
+    jpegSearchFolders: ['.'],
+    ignorePatterns: [
+      /\.(xmp|arq)$/i
+    ]
+  },
+
+  // Capture One hot folders are the session's Capture folder. Capture One keeps its own
+  // settings/cache in "CaptureOne" subfolders and usually shoots RAW only (no JPEG pair)
+  'capture-one': {
+    id: 'capture-one',
+    name: 'Capture One (hot folder)',
+    appName: 'Capture One',
+    appPaths: [
+      '/Applications/Capture One.app',
+      '/Applications/Capture One 23.app',
+      '/Applications/Capture One 22.app',
+      '/Applications/Capture One 21.app'
+    ],
+    watchDepth: 0,
+    rawExtensions: RAW_EXTENSIONS,
+    jpegSearchFolders: ['.', '../Output'],
+    ignorePatterns: [
+      /[\/\\]CaptureOne([\/\\]|$)/,
+      /\.(cos|cot|comask|cof|xmp)$/i
+    ]
+  }
+};
+
+/**
+ * Get a profile by ID, falling back to LUMIX Tether for unknown/empty IDs
+ */
+function getProfile(profileId) {
+  return TETHER_PROFILES[profileId] || TETHER_PROFILES[DEFAULT_PROFILE_ID];
+}
+
+/**
+ * List profiles in a renderer-friendly shape
+ */
+function listProfiles() {
+  return Object.values(TETHER_PROFILES).map(p => ({
+    id: p.id,
+    name: p.name,
+    appName: p.appName,
+    watchDepth: p.watchDepth
+  }));
+}
+
+function expandHome(appPath) {
+  return appPath.startsWith('~') ? path.join(process.env.HOME || '', appPath.slice(1)) : appPath;
+}
+
+/**
+ * Try to launch the profile's tethering app
+ * @returns {boolean} true if an app bundle was found and launched
+ */
+function launchTetherApp(profile) {
+  for (const candidate of profile.appPaths) {
+    const appPath = expandHome(candidate);
+    if (fs.existsSync(appPath)) {
+      exec(`open "${appPath}"`, (err) => {
+        if (err) console.log(`Could not launch ${profile.appName}:`, err);
+        else console.log(`${profile.appName} launched`);
+      });
+      return true;
+    }
+  }
+  console.log(`${profile.appName} not found`);
+  return false;
+}
+
+function isRawFile(profile, filePath) {
+  return profile.rawExtensions.includes(path.extname(filePath).toLowerCase());
+}
+
+function isJpegFile(filePath) {
+  return JPEG_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Check if a file should be ignored by the watcher
+ * @param {object} profile - Tether profile
+ * @param {string} filePath - Absolute path reported by the watcher
+ * @param {string[]} excludedFolders - Folders to skip entirely (e.g. an output folder nested in the watch folder)
+ */
+function shouldIgnore(profile, filePath, excludedFolders = []) {
+  const patterns = [...COMMON_IGNORE_PATTERNS, ...profile.ignorePatterns];
+  if (patterns.some(pattern => pattern.test(filePath))) {
+    return true;
+  }
+  return excludedFolders.some(folder => {
+    if (!folder) return false;
+    const rel = path.relative(folder, filePath);
+    return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+  });
+}
+
+/**
+ * Find the JPEG captured alongside a RAW file using the profile's pairing rules
+ * Search folders are relative to the RAW file's folder
+ * @returns {string|null} Path to the JPEG, or null if the profile didn't produce one
+ */
+function findPairedJpeg(profile, rawPath) {
+  const rawDir = path.dirname(rawPath);
+  const rawBaseName = path.basename(rawPath, path.extname(rawPath)).toLowerCase();
+
+  for (const relFolder of profile.jpegSearchFolders) {
+    const searchDir = path.resolve(rawDir, relFolder);
+    if (!fs.existsSync(searchDir)) continue;
+
+    const match = fs.readdirSync(searchDir).find(f =>
+      isJpegFile(f) && path.basename(f, path.extname(f)).toLowerCase() === rawBaseName
+    );
+    if (match) {
+      return path.join(searchDir, match);
+    }
+  }
+  return null;
+}
+
+/**
+ * List RAW captures currently in a watch folder, honouring the profile's depth and ignore rules
+ * Used by the catch-up scan to find frames shot while the watcher wasn't running
+ * @returns {string[]} Absolute RAW file paths
+ */
+function listCaptures(profile, watchFolder, excludedFolders = []) {
+  const captures = [];
+
+  const walk = (dir, depth) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      console.log('Could not read folder during scan:', dir, e.message);
+      return;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (shouldIgnore(profile, fullPath, excludedFolders)) continue;
+
+      if (entry.isDirectory()) {
+        if (depth < profile.watchDepth) walk(fullPath, depth + 1);
+      } else if (isRawFile(profile, fullPath)) {
+        captures.push(fullPath);
+      }
+    }
+  };
+
+  if (watchFolder && fs.existsSync(watchFolder)) {
+    walk(watchFolder, 0);
+  }
+  return captures;
+}
+
+module.exports = {
+  RAW_EXTENSIONS,
+  JPEG_EXTENSIONS,
+  DEFAULT_PROFILE_ID,
+  TETHER_PROFILES,
+  getProfile,
+  listProfiles,
+  launchTetherApp,
+  isRawFile,
+  isJpegFile,
+  shouldIgnore,
+  findPairedJpeg,
+  listCaptures
+};